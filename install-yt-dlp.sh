@@ -3,8 +3,9 @@
 # Install yt-dlp on Render
 echo "Installing yt-dlp..."
 
-# Download yt-dlp binary
-curl -L https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp -o /usr/local/bin/yt-dlp
+# Download the standalone yt-dlp build: unlike the plain zipapp it bundles mutagen,
+# which --embed-thumbnail needs to put cover art into opus and flac files
+curl -L https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp_linux -o /usr/local/bin/yt-dlp
 
 # Make it executable
 chmod a+rx /usr/local/bin/yt-dlp
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { AUDIO_FORMATS } = require('./formats');
+const { isPartialFile } = require('./janitor');
+
+// Files that belong with the media in any archive
+const SIDECAR_FILES = ['manifest.json', 'playlist.m3u8'];
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+const AUDIO_EXTENSIONS = Object.keys(AUDIO_FORMATS).map(format => `.${format}`);
+
+const isAudioFile = (file) => AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+// Helper function to list the files of a download folder that go into its archive
+const listArchiveFiles = (dir, { audioOnly = false } = {}) => fs.readdirSync(dir)
+    .filter(file => !file.startsWith('.') && !isPartialFile(file) && fs.statSync(path.join(dir, file)).isFile())
+    .filter((file) => {
+        if (!audioOnly || SIDECAR_FILES.includes(file)) {
+            return true;
+        }
+        return isAudioFile(file) || SUBTITLE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+    })
+    .sort();
+
+// Stream a folder to the response as a ZIP archive, built on the fly.
+// Media is already compressed, so files are stored rather than deflated.
+const streamFolderArchive = (res, dir, { name, audioOnly = false } = {}) => {
+    const files = listArchiveFiles(dir, { audioOnly });
+    const archive = archiver('zip', { store: true });
+
+    res.set('Content-Type', 'application/zip');
+    res.attachment(`${name}.zip`);
+
+    // Stop reading files as soon as the client goes away
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            archive.abort();
+        }
+    });
+    archive.on('warning', (error) => console.log('Archive warning:', error.message));
+    archive.on('error', (error) => {
+        console.error('Archive error:', error);
+        res.destroy(error);
+    });
+
+    archive.pipe(res);
+    files.forEach(file => archive.file(path.join(dir, file), { name: `${name}/${file}` }));
+    archive.finalize();
+
+    return files;
+};
+
+module.exports = {
+    isAudioFile,
+    listArchiveFiles,
+    streamFolderArchive
+};
@@ -0,0 +1,77 @@
+const { invalidInput } = require('./ytdlp');
+const { listThumbnails } = require('./videoInfo');
+
+// Channel listings are paged; a page is one yt-dlp call over the flat tab listing
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Helper function to read the page and pageSize of a channel info request (1-based)
+const parsePage = ({ page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) => {
+    const number = Number(page);
+    const size = Number(pageSize);
+    if (!Number.isInteger(number) || number < 1) {
+        throw invalidInput('page must be a positive integer');
+    }
+    if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+        throw invalidInput(`pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+    }
+    return { page: number, pageSize: size };
+};
+
+// Build the yt-dlp arguments that list one page of a channel tab. One item more than the
+// page is fetched, to tell whether another page follows.
+const buildPageArgs = ({ page, pageSize }) => {
+    const start = (page - 1) * pageSize + 1;
+    return ['--playlist-items', `${start}:${start + pageSize}`];
+};
+
+// Helper function to turn one entry of a flat tab listing into our API shape
+const describeEntry = (entry, tab) => {
+    const thumbnails = listThumbnails(entry);
+    const common = {
+        id: entry.id || null,
+        title: entry.title || null,
+        url: entry.url || null,
+        thumbnail: thumbnails.length > 0 ? thumbnails[0].url : null
+    };
+    if (tab === 'playlists') {
+        return { ...common, videoCount: entry.playlist_count || null };
+    }
+    return {
+        ...common,
+        duration: entry.duration || null,
+        viewCount: entry.view_count || null,
+        liveStatus: entry.live_status || null
+    };
+};
+
+// Describe one page of a channel tab from yt-dlp's flat single JSON: the channel itself and
+// the videos (or playlists) on the page
+const describeChannelPage = (info, tab, { page, pageSize }) => {
+    const entries = (info.entries || []).filter(Boolean);
+    const handle = [info.uploader_id, info.channel_handle].find(value => typeof value === 'string' && value.startsWith('@'));
+
+    return {
+        channel: {
+            id: info.channel_id || null,
+            name: info.channel || info.uploader || null,
+            handle: handle || null,
+            url: info.channel_url || info.uploader_url || null,
+            description: info.description || null,
+            followers: info.channel_follower_count === undefined ? null : info.channel_follower_count,
+            tags: info.tags || [],
+            thumbnails: listThumbnails(info)
+        },
+        tab,
+        page,
+        pageSize,
+        hasMore: entries.length > pageSize,
+        entries: entries.slice(0, pageSize).map(entry => describeEntry(entry, tab))
+    };
+};
+
+module.exports = {
+    parsePage,
+    buildPageArgs,
+    describeChannelPage
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const { invalidInput } = require('./ytdlp');
+const { escapeTemplatePath } = require('./filenames');
+
+// Chapter files are numbered so they sort in playback order, e.g. "03 - Verse two.mp4"
+const CHAPTER_FILE_TEMPLATE = '%(section_number)02d - %(section_title)s.%(ext)s';
+const CHAPTER_FILE_PATTERN = /^(\d+) - .+\.(\w+)$/;
+
+// Helper function to keep the chapter fields the API reports
+const summarizeChapters = (chapters) => (chapters || []).map((chapter, index) => ({
+    index: index + 1,
+    title: chapter.title || `Chapter ${index + 1}`,
+    start: chapter.start_time,
+    end: chapter.end_time
+}));
+
+// Helper function to read a request's splitChapters option (false when not asked for).
+// With the video's info it also checks there are chapters to split on.
+const parseSplitChapters = ({ splitChapters } = {}, info = null) => {
+    if (splitChapters === undefined || splitChapters === false) {
+        return false;
+    }
+    if (splitChapters !== true) {
+        throw invalidInput('splitChapters must be true or false');
+    }
+    if (info && !(info.chapters && info.chapters.length)) {
+        throw invalidInput('This video has no chapters to split on');
+    }
+    return true;
+};
+
+// Build the yt-dlp arguments that write one file per chapter into a folder
+const buildChapterArgs = (chapterDir) => [
+    '--split-chapters',
+    '-o', `chapter:${path.join(escapeTemplatePath(chapterDir), CHAPTER_FILE_TEMPLATE)}`
+];
+
+// Match the chapter files yt-dlp wrote back to the video's chapters
+const listChapterFiles = (chapterDir, chapters, ext) => {
+    const filesByNumber = new Map();
+    fs.readdirSync(chapterDir).forEach((file) => {
+        const match = file.match(CHAPTER_FILE_PATTERN);
+        if (match && `.${match[2]}` === ext) {
+            filesByNumber.set(Number(match[1]), file);
+        }
+    });
+
+    return summarizeChapters(chapters)
+        .filter(chapter => filesByNumber.has(chapter.index))
+        .map(chapter => ({ ...chapter, filename: filesByNumber.get(chapter.index) }));
+};
+
+module.exports = {
+    summarizeChapters,
+    parseSplitChapters,
+    buildChapterArgs,
+    listChapterFiles
+};
@@ -0,0 +1,93 @@
+const { invalidInput } = require('./ytdlp');
+
+// "90", "90.5", "1:30" or "01:01:30.25"
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(?:(\d+):)?(\d+(?:\.\d+)?)$/;
+
+// Helper function to turn a timestamp (seconds or HH:MM:SS) into seconds
+const parseTimestamp = (value, name) => {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value) || value < 0) {
+            throw invalidInput(`${name} must be a positive number of seconds or HH:MM:SS`);
+        }
+        return value;
+    }
+
+    const match = typeof value === 'string' ? value.trim().match(TIMESTAMP_PATTERN) : null;
+    if (!match) {
+        throw invalidInput(`Invalid ${name}: ${value}. Use seconds or HH:MM:SS`);
+    }
+
+    // With a single colon the first group is minutes, with two it is hours
+    const [, first, second, seconds] = match;
+    const hasHours = second !== undefined;
+    const hours = hasHours ? Number(first) : 0;
+    const minutes = Number(hasHours ? second : first || 0);
+    if ((hasHours && minutes >= 60) || (first !== undefined && Number(seconds) >= 60)) {
+        throw invalidInput(`Invalid ${name}: ${value}. Use seconds or HH:MM:SS`);
+    }
+
+    return hours * 3600 + minutes * 60 + Number(seconds);
+};
+
+// Helper function to show seconds as HH:MM:SS in messages and file names
+const formatTimestamp = (totalSeconds) => {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60);
+    const fraction = Math.round((totalSeconds % 1) * 100);
+    const clock = [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+    return fraction ? `${clock}.${String(fraction).padStart(2, '0')}` : clock;
+};
+
+// Helper function to read a request's start/end options (null when no clip was asked for).
+// When the video's duration is known the range has to fit inside it.
+const parseClipRange = ({ start, end } = {}, duration = null) => {
+    const hasStart = start !== undefined && start !== null && start !== '';
+    const hasEnd = end !== undefined && end !== null && end !== '';
+    if (!hasStart && !hasEnd) {
+        return null;
+    }
+
+    const range = {
+        start: hasStart ? parseTimestamp(start, 'start') : 0,
+        end: hasEnd ? parseTimestamp(end, 'end') : null
+    };
+
+    if (range.end !== null && range.end <= range.start) {
+        throw invalidInput('end must be after start');
+    }
+    if (duration) {
+        if (range.start >= duration) {
+            throw invalidInput(`start (${formatTimestamp(range.start)}) is past the end of the video (${formatTimestamp(duration)})`);
+        }
+        if (range.end !== null && range.end > duration) {
+            throw invalidInput(`end (${formatTimestamp(range.end)}) is past the end of the video (${formatTimestamp(duration)})`);
+        }
+    }
+
+    return range;
+};
+
+// Build the yt-dlp arguments that download only the clip. Cutting at forced
+// keyframes re-encodes around the cut points so the clip starts on a clean frame.
+const buildClipArgs = (range) => [
+    '--download-sections', `*${range.start}-${range.end === null ? 'inf' : range.end}`,
+    '--force-keyframes-at-cuts'
+];
+
+// Suffix that keeps a clip's file apart from the full download, e.g. " [clip 00-01-30 to 00-02-00]"
+const clipFileSuffix = (range, duration = null) => {
+    const end = range.end === null ? duration : range.end;
+    const label = (seconds) => formatTimestamp(seconds).replace(/:/g, '-');
+    return end === null
+        ? ` [clip from ${label(range.start)}]`
+        : ` [clip ${label(range.start)} to ${label(end)}]`;
+};
+
+module.exports = {
+    parseTimestamp,
+    formatTimestamp,
+    parseClipRange,
+    buildClipArgs,
+    clipFileSuffix
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jobs = require('./jobs');
+const fileRegistry = require('./files');
+const formats = require('./formats');
+const clips = require('./clips');
+const chapters = require('./chapters');
+const subtitles = require('./subtitles');
+
+// Jobs another identical request can attach to while they are still working
+const IN_FLIGHT_STATES = ['queued', 'running', 'merging'];
+
+// Identify a single video or audio download by what ends up in the file: the video (its ID, or
+// the canonical URL for other sites), the format choice, the post-processing options and the
+// output template. It is built from the request alone, without asking yt-dlp, so a request
+// still gets its job right away. Priority and the way the URL was written don't matter,
+// so they aren't part of the key.
+const downloadKey = (type, options, video) => {
+    const formatIds = type === 'video' ? formats.parseFormatIds(options) : null;
+    let formatChoice;
+    if (type === 'audio') {
+        formatChoice = formats.buildAudioArgs(formats.parseAudioPreferences(options)).args;
+    } else if (formatIds) {
+        formatChoice = { ...formatIds, container: formats.parseFormatPreferences(options).container };
+    } else {
+        formatChoice = formats.buildFormatArgs(formats.parseFormatPreferences(options)).args;
+    }
+
+    const normalized = {
+        type,
+        video,
+        formatChoice,
+        clip: clips.parseClipRange(options),
+        splitChapters: chapters.parseSplitChapters(options),
+        subtitles: type === 'video' ? subtitles.parseSubtitlePreferences(options.subtitles) : null,
+        outputTemplate: options.outputTemplate || null
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+};
+
+// Helper function to check that every file a finished job produced is still on disk
+// (and hasn't been overwritten by another job since)
+const resultFilesExist = (job) => {
+    const result = job.result || {};
+    const fileIds = [result.fileId, ...(result.chapters || []).map(chapter => chapter.fileId)].filter(Boolean);
+
+    return fileIds.length > 0 && fileIds.every((id) => {
+        const file = fileRegistry.getFile(id);
+        return file && file.jobId === job.id && fs.existsSync(file.path);
+    });
+};
+
+// Find what an identical request can reuse: a job still downloading, a finished job whose
+// files the janitor hasn't removed yet, or (once that job is gone) its retained file.
+// Returns { job } or { file }, or null when the download has to run.
+const findDuplicate = (key) => {
+    const matching = jobs.listJobs().filter(job => job.dedupeKey === key);
+
+    const inFlight = matching.find(job => IN_FLIGHT_STATES.includes(job.state));
+    if (inFlight) {
+        return { job: inFlight };
+    }
+
+    const finished = matching
+        .filter(job => job.state === 'done' && resultFilesExist(job))
+        .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))[0];
+    if (finished) {
+        return { job: finished };
+    }
+
+    const file = fileRegistry.findByDownloadKey(key);
+    return file ? { file } : null;
+};
+
+module.exports = {
+    downloadKey,
+    findDuplicate
+};
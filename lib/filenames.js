@@ -0,0 +1,128 @@
+const fs = require('fs');
+const { invalidInput } = require('./ytdlp');
+
+// Names are cut to this many UTF-8 bytes, leaving room under the usual 255-byte limit
+// for a clip suffix, a collision suffix and yt-dlp's ".f137.webm.part" style extensions
+const MAX_NAME_BYTES = 180;
+// yt-dlp trims names by characters; this many stay under 255 bytes even at 4 bytes each
+const MAX_NAME_CHARACTERS = 60;
+const MAX_TEMPLATE_LENGTH = 200;
+
+// Fields an output template can use, e.g. "{uploader} - {title} [{id}]"
+const TEMPLATE_FIELDS = ['title', 'id', 'uploader', 'upload_date', 'resolution', 'playlist_index', 'playlist_title'];
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Characters no file system (or a Content-Disposition header) takes well:
+// control characters, bidi overrides, path separators and Windows' reserved characters
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f\u200e\u200f\u202a-\u202e\u2066-\u2069<>:"/\\|?*]/g;
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+// Helper function to cut a string to a number of UTF-8 bytes without splitting a character
+const truncateBytes = (value, maxBytes) => {
+    let result = '';
+    let bytes = 0;
+    for (const character of value) {
+        bytes += Buffer.byteLength(character);
+        if (bytes > maxBytes) {
+            break;
+        }
+        result += character;
+    }
+    return result;
+};
+
+// Helper function for sanitizeFilename; returns '' when nothing usable is left
+const cleanName = (name) => {
+    const cleaned = truncateBytes(
+        String(name || '').normalize('NFC').replace(UNSAFE_CHARACTERS, '').replace(/\s+/g, '_').replace(/^[._]+/, ''),
+        MAX_NAME_BYTES
+    ).replace(/[._]+$/, '');
+    return WINDOWS_RESERVED_NAMES.test(cleaned) ? `_${cleaned}` : cleaned;
+};
+
+// Helper function to turn a title into a file name that is safe on disk. Letters in any
+// script and emoji are kept; only unsafe characters go, and whitespace becomes underscores.
+// Falls back to e.g. the video ID when nothing is left.
+const sanitizeFilename = (name, fallback = 'download') => cleanName(name) || cleanName(fallback) || 'download';
+
+// Helper function to check an output template from a request or the environment
+const parseOutputTemplate = (template, name = 'outputTemplate') => {
+    if (typeof template !== 'string' || template.trim() === '' || template.length > MAX_TEMPLATE_LENGTH) {
+        throw invalidInput(`${name} must be a non-empty string of at most ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+    if (/[/\\]/.test(template)) {
+        throw invalidInput(`${name} cannot contain path separators`);
+    }
+
+    const fields = Array.from(template.matchAll(PLACEHOLDER_PATTERN)).map(match => match[1]);
+    // A template has to name each file after its video, so it can't be a fixed name like "" or ".."
+    if (fields.length === 0) {
+        throw invalidInput(`${name} must use at least one field, e.g. {title}`);
+    }
+
+    const unknown = fields.filter(field => !TEMPLATE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw invalidInput(`Unknown ${name} field: {${unknown[0]}}. Use any of: ${TEMPLATE_FIELDS.map(field => `{${field}}`).join(', ')}`);
+    }
+    return template;
+};
+
+// Server-wide defaults, checked at startup so a bad setting fails loudly
+const OUTPUT_TEMPLATE = parseOutputTemplate(process.env.OUTPUT_TEMPLATE || '{title}', 'OUTPUT_TEMPLATE');
+const PLAYLIST_OUTPUT_TEMPLATE = parseOutputTemplate(
+    process.env.PLAYLIST_OUTPUT_TEMPLATE || '{title}',
+    'PLAYLIST_OUTPUT_TEMPLATE'
+);
+
+// Fill in a template for one video and make the result a safe file name.
+// Missing fields become "NA", like in yt-dlp's own templates.
+const renderOutputTemplate = (template, fields) => sanitizeFilename(
+    template.replace(PLACEHOLDER_PATTERN, (placeholder, field) => (
+        fields[field] === undefined || fields[field] === null || fields[field] === '' ? 'NA' : String(fields[field])
+    )),
+    fields.id
+);
+
+// yt-dlp fields for our template fields; resolution is written like ours ("720p", or "audio")
+const YT_DLP_FIELDS = {
+    resolution: '%(height&{}p|audio)s'
+};
+
+// Turn a template into a yt-dlp output template, for playlists where yt-dlp names each item
+const toYtDlpTemplate = (template) => template
+    .replace(/%/g, '%%')
+    .replace(PLACEHOLDER_PATTERN, (placeholder, field) => YT_DLP_FIELDS[field] || `%(${field})s`);
+
+// Helper function to escape a path for use in a yt-dlp output template
+const escapeTemplatePath = (filePath) => filePath.replace(/%/g, '%%');
+
+// Pick a name in a folder that no other file (or running download) uses yet:
+// "name", then "name (2)", "name (3)" and so on, so the same situation always gives the same name.
+// reserved lists names running downloads are about to use; canReuse allows an existing entry
+// (e.g. the folder of an earlier run of the same playlist).
+const resolveCollision = (dir, name, { reserved = [], canReuse = () => false } = {}) => {
+    const entries = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+    const isTaken = candidate => reserved.includes(candidate) || (!canReuse(candidate)
+        && entries.some(entry => entry === candidate || entry.startsWith(`${candidate}.`)));
+
+    for (let number = 1; ; number++) {
+        const candidate = number === 1 ? name : `${name} (${number})`;
+        if (!isTaken(candidate)) {
+            return candidate;
+        }
+    }
+};
+
+module.exports = {
+    MAX_NAME_BYTES,
+    MAX_NAME_CHARACTERS,
+    TEMPLATE_FIELDS,
+    OUTPUT_TEMPLATE,
+    PLAYLIST_OUTPUT_TEMPLATE,
+    sanitizeFilename,
+    parseOutputTemplate,
+    renderOutputTemplate,
+    toYtDlpTemplate,
+    escapeTemplatePath,
+    resolveCollision
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Signed links: without FILE_LINK_SECRET a random secret is used, so links stop working after a restart
+const LINK_SECRET = process.env.FILE_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+const REQUIRE_SIGNED_LINKS = process.env.REQUIRE_SIGNED_LINKS === 'true';
+const DEFAULT_LINK_TTL = parseInt(process.env.FILE_LINK_TTL, 10) || 24 * 60 * 60; // seconds
+const MAX_LINK_TTL = 7 * 24 * 60 * 60; // seconds
+
+const SAVE_DELAY = 500; // ms
+const STORE_VERSION = 1;
+
+// Files the server produced, by opaque ID - the only files /api/files will serve
+const files = new Map();
+const idsByPath = new Map();
+let saveTimer = null;
+let storePath = null;
+
+// Helper function to turn a title into a file name that is safe in a header, keeping non-ASCII characters
+const displayName = (name) => name.replace(/[\u0000-\u001f\u007f/\\]/g, '').trim() || 'download';
+
+const saveFiles = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!storePath) {
+        return;
+    }
+
+    try {
+        const tempPath = `${storePath}.tmp`;
+        const data = { version: STORE_VERSION, savedAt: new Date().toISOString(), files: Array.from(files.values()) };
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, storePath);
+    } catch (error) {
+        console.error('Could not save files:', error.message);
+    }
+};
+
+const scheduleSave = () => {
+    if (!saveTimer) {
+        saveTimer = setTimeout(saveFiles, SAVE_DELAY);
+    }
+};
+
+// Reload the files registered by a previous run and keep the store file in sync from now on
+const openFileRegistry = (filePath) => {
+    storePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    try {
+        if (fs.existsSync(filePath)) {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            (Array.isArray(data.files) ? data.files : []).forEach((file) => {
+                files.set(file.id, file);
+                idsByPath.set(file.path, file.id);
+            });
+        }
+    } catch (error) {
+        console.error('Could not load saved files:', error.message);
+    }
+
+    console.log(`💾 Restored ${files.size} files from ${filePath}`);
+    return { flush: saveFiles };
+};
+
+// Register a file the server produced; registering the same path again keeps its ID.
+// downloadKey marks a single-file download that identical requests may reuse.
+const registerFile = (filePath, { name, jobId = null, downloadKey = null } = {}) => {
+    const absolutePath = path.resolve(filePath);
+    const id = idsByPath.get(absolutePath) || crypto.randomBytes(16).toString('hex');
+    const now = new Date().toISOString();
+
+    const file = {
+        id,
+        path: absolutePath,
+        name: displayName(name || path.basename(absolutePath)),
+        size: fs.statSync(absolutePath).size,
+        jobId,
+        downloadKey,
+        createdAt: now,
+        lastAccessedAt: now
+    };
+
+    files.set(id, file);
+    idsByPath.set(absolutePath, id);
+    scheduleSave();
+    return file;
+};
+
+const getFile = (id) => files.get(id);
+
+// Record a download of the file, so quota eviction removes the least recently used files first
+const touchFile = (id) => {
+    const file = files.get(id);
+    if (file) {
+        file.lastAccessedAt = new Date().toISOString();
+        scheduleSave();
+    }
+};
+
+const listFiles = () => Array.from(files.values());
+
+// Helper function to find the retained file of an earlier identical download
+const findByDownloadKey = (downloadKey) => listFiles()
+    .filter(file => file.downloadKey === downloadKey && fs.existsSync(file.path))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+
+// Forget a file, e.g. once it has been deleted from disk
+const unregisterFile = (id) => {
+    const file = files.get(id);
+    if (!file) {
+        return false;
+    }
+    files.delete(id);
+    idsByPath.delete(file.path);
+    scheduleSave();
+    return true;
+};
+
+const signature = (id, expires) => crypto
+    .createHmac('sha256', LINK_SECRET)
+    .update(`${id}:${expires}`)
+    .digest('hex');
+
+// Helper function to sign a link to the resource id, when links have to be signed (or when a ttl is given)
+const signUrl = (url, id, { ttl = REQUIRE_SIGNED_LINKS ? DEFAULT_LINK_TTL : null } = {}) => {
+    if (!ttl) {
+        return url;
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + Math.min(ttl, MAX_LINK_TTL);
+    return `${url}?expires=${expires}&signature=${signature(id, expires)}`;
+};
+
+// Build the URL a client downloads a file from
+const fileUrl = (file, options) => signUrl(`/api/files/${file.id}`, file.id, options);
+
+// Helper function to check a request's link signature; returns an error message, or null when it is fine
+const checkSignature = (id, { expires, signature: given } = {}) => {
+    if (expires === undefined && given === undefined) {
+        return REQUIRE_SIGNED_LINKS ? 'This link needs a signature' : null;
+    }
+
+    const expected = signature(id, expires);
+    if (typeof given !== 'string' || given.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) {
+        return 'Invalid link signature';
+    }
+    if (!(Number(expires) * 1000 > Date.now())) {
+        return 'This link has expired';
+    }
+    return null;
+};
+
+module.exports = {
+    REQUIRE_SIGNED_LINKS,
+    DEFAULT_LINK_TTL,
+    MAX_LINK_TTL,
+    openFileRegistry,
+    registerFile,
+    getFile,
+    touchFile,
+    listFiles,
+    findByDownloadKey,
+    unregisterFile,
+    signUrl,
+    fileUrl,
+    checkSignature
+};
@@ -0,0 +1,518 @@
+const { invalidInput } = require('./ytdlp');
+
+// Quality presets accepted by the download endpoints, as format preferences
+const QUALITY_PRESETS = {
+    highest: {},
+    best: {},
+    '4k': { maxHeight: 2160 },
+    '1440p': { maxHeight: 1440 },
+    '1080p': { maxHeight: 1080 },
+    '720p': { maxHeight: 720 },
+    '480p': { maxHeight: 480 },
+    '360p': { maxHeight: 360 },
+    '240p': { maxHeight: 240 },
+    '144p': { maxHeight: 144 }
+};
+
+// Used when a request names neither a quality nor a max height - 720p keeps downloads fast
+const DEFAULT_QUALITY = '720p';
+
+// How each codec shows up in yt-dlp's vcodec field, and its name for format sorting (-S)
+const VIDEO_CODECS = {
+    h264: { pattern: '^(avc|h264)', sort: 'h264' },
+    vp9: { pattern: '^vp0?9', sort: 'vp9' },
+    av1: { pattern: '^av01', sort: 'av01' }
+};
+
+// Preferred stream extensions for each output container
+const CONTAINERS = {
+    mp4: { video: 'mp4', audio: 'm4a' },
+    webm: { video: 'webm', audio: 'webm' },
+    mkv: { video: null, audio: null } // mkv holds anything
+};
+
+const FALLBACKS = ['best-effort', 'strict'];
+
+const toPositiveInteger = (value, name) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw invalidInput(`${name} must be a positive integer`);
+    }
+    return number;
+};
+
+// Helper function to turn a request's quality/format options into validated preferences
+const parseFormatPreferences = ({ quality, format = {} } = {}) => {
+    if (quality !== undefined && !Object.prototype.hasOwnProperty.call(QUALITY_PRESETS, quality)) {
+        throw invalidInput(`Unsupported quality: ${quality}. Use one of: ${Object.keys(QUALITY_PRESETS).join(', ')}`);
+    }
+    if (typeof format !== 'object' || format === null || Array.isArray(format)) {
+        throw invalidInput('format must be an object');
+    }
+
+    const preset = QUALITY_PRESETS[quality === undefined && format.maxHeight === undefined ? DEFAULT_QUALITY : quality] || {};
+    const preferences = {
+        maxHeight: toPositiveInteger(format.maxHeight, 'format.maxHeight') || preset.maxHeight || null,
+        minHeight: toPositiveInteger(format.minHeight, 'format.minHeight'),
+        fps: toPositiveInteger(format.fps, 'format.fps'),
+        videoCodec: format.videoCodec || null,
+        container: format.container || 'mp4',
+        hdr: format.hdr === undefined || format.hdr === null ? null : format.hdr,
+        fallback: format.fallback || 'best-effort'
+    };
+
+    if (preferences.minHeight && preferences.maxHeight && preferences.minHeight > preferences.maxHeight) {
+        throw invalidInput('format.minHeight cannot be larger than format.maxHeight');
+    }
+    if (preferences.videoCodec && !Object.prototype.hasOwnProperty.call(VIDEO_CODECS, preferences.videoCodec)) {
+        throw invalidInput(`Unsupported video codec: ${preferences.videoCodec}. Use one of: ${Object.keys(VIDEO_CODECS).join(', ')}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(CONTAINERS, preferences.container)) {
+        throw invalidInput(`Unsupported container: ${preferences.container}. Use one of: ${Object.keys(CONTAINERS).join(', ')}`);
+    }
+    if (preferences.hdr !== null && typeof preferences.hdr !== 'boolean') {
+        throw invalidInput('format.hdr must be true (HDR only), false (SDR only) or omitted');
+    }
+    if (!FALLBACKS.includes(preferences.fallback)) {
+        throw invalidInput(`Unsupported fallback: ${preferences.fallback}. Use one of: ${FALLBACKS.join(', ')}`);
+    }
+
+    return preferences;
+};
+
+// Helper function to build the yt-dlp filters that enforce the preferences
+const buildFilters = (preferences) => {
+    const video = [];
+    const audio = [];
+
+    if (preferences.maxHeight) {
+        video.push(`[height<=${preferences.maxHeight}]`);
+    }
+    if (preferences.minHeight) {
+        video.push(`[height>=${preferences.minHeight}]`);
+    }
+    if (preferences.fps) {
+        video.push(`[fps<=${preferences.fps}]`);
+    }
+    if (preferences.videoCodec) {
+        video.push(`[vcodec~='${VIDEO_CODECS[preferences.videoCodec].pattern}']`);
+    }
+    if (preferences.hdr === true) {
+        video.push('[dynamic_range!=SDR]');
+    } else if (preferences.hdr === false) {
+        video.push('[dynamic_range=SDR]');
+    }
+
+    const container = CONTAINERS[preferences.container];
+    if (container.video) {
+        video.push(`[ext=${container.video}]`);
+        audio.push(`[ext=${container.audio}]`);
+    }
+
+    return { video: video.join(''), audio: audio.join('') };
+};
+
+// Build the yt-dlp arguments for a set of format preferences.
+// Strict mode only ever picks formats that match every preference; best-effort
+// falls back to the best available format, still ranked by the preferences.
+const buildFormatArgs = (preferences) => {
+    const filters = buildFilters(preferences);
+    const selectors = [
+        `bv*${filters.video}+ba${filters.audio}`,
+        `b${filters.video}`
+    ];
+    if (preferences.fallback === 'best-effort') {
+        selectors.push('bv*+ba', 'b');
+    }
+
+    // Resolution always ranks first so a container preference never trades it away
+    const sort = [preferences.maxHeight ? `res:${preferences.maxHeight}` : 'res'];
+    if (preferences.fps) {
+        sort.push(`fps:${preferences.fps}`);
+    }
+    if (preferences.hdr === false) {
+        sort.push('hdr:SDR');
+    } else if (preferences.hdr === true) {
+        sort.push('hdr');
+    }
+    if (preferences.videoCodec) {
+        sort.push(`vcodec:${VIDEO_CODECS[preferences.videoCodec].sort}`);
+    }
+    const container = CONTAINERS[preferences.container];
+    if (container.video) {
+        sort.push(`ext:${container.video}:${container.audio}`);
+    }
+
+    const selector = selectors.join('/');
+    const args = ['-f', selector, '-S', sort.join(',')];
+    // Remux covers single-file formats that never go through the merger
+    args.push('--merge-output-format', preferences.container, '--remux-video', preferences.container);
+
+    return { args, selector, sort: sort.join(','), container: preferences.container };
+};
+
+// yt-dlp format IDs look like "137", "251-drc" or "hls-1080p"
+const FORMAT_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Helper function to read explicit format IDs from a request (null when none were given)
+const parseFormatIds = ({ formatId, videoFormatId, audioFormatId } = {}) => {
+    if (!formatId && !videoFormatId && !audioFormatId) {
+        return null;
+    }
+
+    [['formatId', formatId], ['videoFormatId', videoFormatId], ['audioFormatId', audioFormatId]]
+        .forEach(([name, value]) => {
+            if (value !== undefined && (typeof value !== 'string' || !FORMAT_ID_PATTERN.test(value))) {
+                throw invalidInput(`Invalid ${name}: ${value}`);
+            }
+        });
+
+    if (formatId && (videoFormatId || audioFormatId)) {
+        throw invalidInput('Use either formatId or a videoFormatId/audioFormatId pair, not both');
+    }
+    if (audioFormatId && !videoFormatId) {
+        throw invalidInput('audioFormatId needs a videoFormatId (use type "audio" for audio-only downloads)');
+    }
+
+    return { formatId, videoFormatId, audioFormatId };
+};
+
+// Build yt-dlp arguments for explicitly chosen format IDs, checked against the video's real formats
+const buildExplicitFormatArgs = ({ formatId, videoFormatId, audioFormatId }, availableFormats, container) => {
+    const findFormat = (id) => {
+        const format = availableFormats.find(available => available.formatId === id);
+        if (!format) {
+            throw invalidInput(`Format ${id} is not available for this video`);
+        }
+        return format;
+    };
+
+    let selector;
+    if (formatId) {
+        const format = findFormat(formatId);
+        if (!format.hasVideo || !format.hasAudio) {
+            throw invalidInput(`Format ${formatId} is not a combined video+audio format. Pass videoFormatId and audioFormatId instead.`);
+        }
+        selector = formatId;
+    } else {
+        const videoFormat = findFormat(videoFormatId);
+        if (!videoFormat.hasVideo) {
+            throw invalidInput(`Format ${videoFormatId} has no video stream`);
+        }
+        if (audioFormatId) {
+            if (!findFormat(audioFormatId).hasAudio) {
+                throw invalidInput(`Format ${audioFormatId} has no audio stream`);
+            }
+            selector = `${videoFormatId}+${audioFormatId}`;
+        } else if (videoFormat.hasAudio) {
+            selector = videoFormatId;
+        } else {
+            throw invalidInput(`Format ${videoFormatId} has no audio. Add an audioFormatId to merge with it.`);
+        }
+    }
+
+    return {
+        args: ['-f', selector, '--merge-output-format', container, '--remux-video', container],
+        selector,
+        sort: '',
+        container
+    };
+};
+
+// Audio outputs for audio downloads: which source stream to prefer (to avoid a
+// re-encode when possible), whether a bitrate applies, and whether cover art fits
+const AUDIO_FORMATS = {
+    mp3: { source: 'ba/b', lossless: false, coverArt: true },
+    m4a: { source: 'ba[ext=m4a]/ba/b', lossless: false, coverArt: true },
+    opus: { source: 'ba[acodec=opus]/ba/b', lossless: false, coverArt: true },
+    flac: { source: 'ba/b', lossless: true, coverArt: true },
+    wav: { source: 'ba/b', lossless: true, coverArt: false } // wav has no place for a picture
+};
+
+const DEFAULT_AUDIO_FORMAT = 'mp3';
+const MIN_AUDIO_BITRATE = 32; // kbps
+const MAX_AUDIO_BITRATE = 512; // kbps
+
+// Helper function to turn a request's audio options into validated preferences
+const parseAudioPreferences = ({ audio = {} } = {}) => {
+    if (typeof audio !== 'object' || audio === null || Array.isArray(audio)) {
+        throw invalidInput('audio must be an object');
+    }
+
+    const preferences = {
+        format: audio.format || DEFAULT_AUDIO_FORMAT,
+        bitrate: toPositiveInteger(audio.bitrate, 'audio.bitrate'),
+        quality: audio.quality === undefined || audio.quality === null ? null : Number(audio.quality)
+    };
+
+    if (!Object.prototype.hasOwnProperty.call(AUDIO_FORMATS, preferences.format)) {
+        throw invalidInput(`Unsupported audio format: ${preferences.format}. Use one of: ${Object.keys(AUDIO_FORMATS).join(', ')}`);
+    }
+    const audioFormat = AUDIO_FORMATS[preferences.format];
+    if (preferences.bitrate !== null && preferences.quality !== null) {
+        throw invalidInput('Use either audio.bitrate or audio.quality, not both');
+    }
+    if (audioFormat.lossless && (preferences.bitrate !== null || preferences.quality !== null)) {
+        throw invalidInput(`${preferences.format} is lossless and takes no bitrate or quality`);
+    }
+    if (preferences.bitrate !== null
+        && (preferences.bitrate < MIN_AUDIO_BITRATE || preferences.bitrate > MAX_AUDIO_BITRATE)) {
+        throw invalidInput(`audio.bitrate must be between ${MIN_AUDIO_BITRATE} and ${MAX_AUDIO_BITRATE} kbps`);
+    }
+    if (preferences.quality !== null
+        && (!Number.isInteger(preferences.quality) || preferences.quality < 0 || preferences.quality > 10)) {
+        throw invalidInput('audio.quality must be an integer from 0 (best) to 10 (smallest)');
+    }
+
+    return preferences;
+};
+
+// Build the yt-dlp arguments for an audio extraction, including tags and cover art.
+// Artist falls back to the uploader; album and track number come from the playlist
+// when there is one.
+const buildAudioArgs = (preferences, { playlist = false } = {}) => {
+    const audioFormat = AUDIO_FORMATS[preferences.format];
+    const args = [
+        '-f', audioFormat.source,
+        '--extract-audio',
+        '--audio-format', preferences.format
+    ];
+
+    if (preferences.bitrate !== null) {
+        args.push('--audio-quality', `${preferences.bitrate}K`);
+    } else if (!audioFormat.lossless) {
+        args.push('--audio-quality', String(preferences.quality === null ? 0 : preferences.quality));
+    }
+
+    args.push(
+        '--embed-metadata',
+        '--parse-metadata', '%(artist,uploader)s:%(meta_artist)s'
+    );
+    if (playlist) {
+        args.push(
+            '--parse-metadata', '%(album,playlist_title)s:%(meta_album)s',
+            '--parse-metadata', '%(playlist_index)s:%(meta_track)s'
+        );
+    }
+    if (audioFormat.coverArt) {
+        args.push('--embed-thumbnail', '--convert-thumbnails', 'jpg');
+    }
+
+    return { args, format: preferences.format, selector: audioFormat.source };
+};
+
+// Quality tiers offered to users, highest first (values match QUALITY_PRESETS)
+const QUALITY_TIERS = [
+    { value: '4k', label: '4K (2160p)', height: 2160 },
+    { value: '1440p', label: '1440p (2K)', height: 1440 },
+    { value: '1080p', label: '1080p (Full HD)', height: 1080 },
+    { value: '720p', label: '720p (HD)', height: 720 },
+    { value: '480p', label: '480p', height: 480 },
+    { value: '360p', label: '360p', height: 360 },
+    { value: '240p', label: '240p', height: 240 },
+    { value: '144p', label: '144p', height: 144 }
+];
+
+const hasStream = (codec) => Boolean(codec) && codec !== 'none';
+
+const sizeOf = (format) => format.filesize || format.filesizeApprox || null;
+
+// Helper function to name a vcodec string by its family (h264, vp9, av1, ...)
+const codecFamily = (vcodec) => {
+    const family = Object.keys(VIDEO_CODECS).find(name => new RegExp(VIDEO_CODECS[name].pattern).test(vcodec));
+    return family || vcodec.split('.')[0];
+};
+
+// Helper function to turn one entry of yt-dlp's formats array into our API shape
+const describeFormat = (format) => {
+    const hasVideo = hasStream(format.vcodec);
+    const hasAudio = hasStream(format.acodec);
+
+    return {
+        formatId: format.format_id,
+        ext: format.ext,
+        resolution: hasVideo
+            ? format.resolution || (format.width && format.height ? `${format.width}x${format.height}` : null)
+            : 'audio only',
+        width: format.width || null,
+        height: format.height || null,
+        fps: format.fps || null,
+        vcodec: hasVideo ? format.vcodec : null,
+        acodec: hasAudio ? format.acodec : null,
+        hasVideo,
+        hasAudio,
+        bitrate: format.tbr || null, // kbit/s
+        audioBitrate: format.abr || null, // kbit/s
+        filesize: format.filesize || null,
+        filesizeApprox: format.filesize_approx || null,
+        hdr: Boolean(format.dynamic_range) && format.dynamic_range !== 'SDR',
+        dynamicRange: format.dynamic_range || null,
+        protocol: format.protocol || null,
+        formatNote: format.format_note || null
+    };
+};
+
+// All real formats of a video (storyboards and other image-only entries are skipped)
+const listFormats = (info) => (info.formats || [])
+    .filter(format => hasStream(format.vcodec) || hasStream(format.acodec))
+    .map(describeFormat);
+
+// Content types for the single-file formats that can be streamed
+const STREAM_CONTENT_TYPES = {
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    '3gp': 'video/3gpp',
+    m4a: 'audio/mp4',
+    mp3: 'audio/mpeg',
+    opus: 'audio/ogg'
+};
+
+// Highest video quality a stream comes in. Separate video and audio streams can't be merged
+// while they are still downloading, and YouTube has both in one file only up to 360p.
+const MAX_STREAM_HEIGHT = 360;
+
+// Helper function to turn a stream request's options into format preferences. A video stream
+// asking for more than MAX_STREAM_HEIGHT is refused rather than quietly sent in 360p.
+const parseStreamPreferences = (type, { quality, maxHeight, container }) => {
+    const format = {};
+    if (maxHeight !== undefined) {
+        format.maxHeight = maxHeight;
+    }
+    if (container !== undefined) {
+        format.container = container;
+    }
+    const preferences = parseFormatPreferences({ quality, format });
+    if (type === 'audio') {
+        return preferences;
+    }
+
+    // "best" and "highest" get the best a stream can do
+    if (preferences.maxHeight && preferences.maxHeight > MAX_STREAM_HEIGHT
+        && (maxHeight !== undefined || quality !== undefined)) {
+        throw invalidInput(`Streams go up to ${MAX_STREAM_HEIGHT}p. Ask for ${MAX_STREAM_HEIGHT}p or less, or use a regular download for higher quality.`);
+    }
+    return { ...preferences, maxHeight: Math.min(preferences.maxHeight || MAX_STREAM_HEIGHT, MAX_STREAM_HEIGHT) };
+};
+
+// Pick one format that can be piped straight to a client: it has to be a single file
+// (video with its audio already muxed in, or audio only) fetched over plain http(s).
+// Prefers the requested container, then the highest resolution / audio bitrate.
+const chooseStreamFormat = (availableFormats, type, preferences) => {
+    const streamable = availableFormats.filter(format => (
+        /^https?$/.test(format.protocol || '') && STREAM_CONTENT_TYPES[format.ext] && (type === 'audio'
+            ? format.hasAudio && !format.hasVideo
+            : format.hasVideo && format.hasAudio && (!preferences.maxHeight || (format.height || 0) <= preferences.maxHeight))
+    ));
+
+    const preferredExt = type === 'audio' ? 'm4a' : preferences.container;
+    const rank = format => [
+        format.ext === preferredExt ? 1 : 0,
+        type === 'audio' ? format.audioBitrate || format.bitrate || 0 : format.height || 0,
+        format.bitrate || 0
+    ];
+    const best = streamable.reduce((a, b) => {
+        const rankA = rank(a);
+        const rankB = rank(b);
+        const index = rankA.findIndex((value, i) => value !== rankB[i]);
+        return index !== -1 && rankB[index] > rankA[index] ? b : a;
+    }, streamable[0]);
+
+    if (!best) {
+        throw invalidInput(type === 'audio'
+            ? 'This video has no audio format that can be streamed'
+            : 'This video has no single-file format that can be streamed at this quality. Use a regular download instead.');
+    }
+
+    return { ...best, contentType: STREAM_CONTENT_TYPES[best.ext] };
+};
+
+// Helper function to summarize a group of video formats as one quality option
+const describeQualityOption = (tier, tierFormats, bestAudio) => {
+    const best = tierFormats.reduce((a, b) => ((b.height || 0) > (a.height || 0) ||
+        ((b.height || 0) === (a.height || 0) && (b.bitrate || 0) > (a.bitrate || 0)) ? b : a));
+    const videoSize = sizeOf(best);
+    const audioSize = best.hasAudio || !bestAudio ? 0 : sizeOf(bestAudio);
+
+    return {
+        quality: tier.label,
+        value: tier.value,
+        height: best.height,
+        fps: Math.max(...tierFormats.map(format => format.fps || 0)) || null,
+        hdr: tierFormats.some(format => format.hdr),
+        container: tierFormats.some(format => format.ext === 'mp4') ? 'mp4' : best.ext,
+        codecs: [...new Set(tierFormats.map(format => codecFamily(format.vcodec)))],
+        formatIds: tierFormats.map(format => format.formatId),
+        estimatedSize: videoSize && audioSize !== null ? videoSize + audioSize : null
+    };
+};
+
+// Quality options this particular video can deliver, grouped into the preset tiers
+const listQualityOptions = (availableFormats) => {
+    const videoFormats = availableFormats.filter(format => format.hasVideo && format.height);
+    const audioFormats = availableFormats.filter(format => format.hasAudio && !format.hasVideo);
+    const bestAudio = audioFormats.reduce((a, b) => (!a || (b.bitrate || 0) > (a.bitrate || 0) ? b : a), null);
+
+    if (videoFormats.length === 0) {
+        return [];
+    }
+
+    const options = [
+        describeQualityOption({ value: 'highest', label: 'Highest Quality' }, videoFormats, bestAudio)
+    ];
+
+    QUALITY_TIERS.forEach((tier, index) => {
+        const lowerHeight = index + 1 < QUALITY_TIERS.length ? QUALITY_TIERS[index + 1].height : 0;
+        const tierFormats = videoFormats.filter(format => format.height <= tier.height && format.height > lowerHeight);
+        if (tierFormats.length > 0) {
+            options.push(describeQualityOption(tier, tierFormats, bestAudio));
+        }
+    });
+
+    return options;
+};
+
+// Pick the format arguments for a video download: explicit format IDs win over preferences
+const chooseFormats = (options, info) => {
+    const preferences = parseFormatPreferences(options);
+    const formatIds = parseFormatIds(options);
+
+    if (!formatIds) {
+        return buildFormatArgs(preferences);
+    }
+    return buildExplicitFormatArgs(formatIds, listFormats(info), preferences.container);
+};
+
+// Helper function to name the resolution a video download will get, e.g. "720p": the height of
+// the chosen format, or the best height the video has within the requested maximum
+const expectedResolution = (options, info) => {
+    const formatIds = parseFormatIds(options);
+    const { maxHeight } = parseFormatPreferences(options);
+    const videoFormats = listFormats(info).filter(format => format.hasVideo && format.height);
+
+    const candidates = formatIds
+        ? videoFormats.filter(format => [formatIds.formatId, formatIds.videoFormatId].includes(format.formatId))
+        : videoFormats.filter(format => !maxHeight || format.height <= maxHeight);
+    const height = Math.max(0, ...candidates.map(format => format.height));
+    return height ? `${height}p` : null;
+};
+
+module.exports = {
+    QUALITY_PRESETS,
+    DEFAULT_QUALITY,
+    AUDIO_FORMATS,
+    parseFormatPreferences,
+    buildFormatArgs,
+    parseFormatIds,
+    chooseFormats,
+    expectedResolution,
+    parseAudioPreferences,
+    buildAudioArgs,
+    listFormats,
+    listQualityOptions,
+    MAX_STREAM_HEIGHT,
+    parseStreamPreferences,
+    chooseStreamFormat
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Cache limits - a video's full info (every format, subtitle track and thumbnail) is often
+// several hundred KB, so the cache is bounded by size as well as by entry count
+const CACHE_TTL_MINUTES = parseFloat(process.env.INFO_CACHE_TTL_MINUTES) || 30;
+const CACHE_MAX_ENTRIES = parseInt(process.env.INFO_CACHE_MAX_ENTRIES, 10) || 200;
+const CACHE_MAX_MB = parseFloat(process.env.INFO_CACHE_MAX_MB) || 64;
+const CACHE_ON_DISK = process.env.INFO_CACHE_DISK !== 'false';
+
+// Create an LRU cache of yt-dlp info, optionally backed by one JSON file per entry in dir
+// so it survives restarts. Entries older than the TTL count as missing.
+const createInfoCache = ({ name, dir = null }) => {
+    const ttl = CACHE_TTL_MINUTES * 60 * 1000;
+    const maxBytes = CACHE_MAX_MB * 1024 * 1024;
+    const diskDir = CACHE_ON_DISK ? dir : null;
+
+    // Map iteration order is insertion order, so the first entry is the least recently used
+    const entries = new Map();
+    // Fetches in progress, so concurrent requests for the same key share one yt-dlp call
+    const pending = new Map();
+    const counters = { hits: 0, diskHits: 0, misses: 0, evictions: 0 };
+    let totalBytes = 0;
+
+    if (diskDir) {
+        fs.mkdirSync(diskDir, { recursive: true });
+    }
+
+    const diskPath = key => path.join(diskDir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+    const isFresh = entry => Date.now() - entry.storedAt < ttl;
+
+    const removeFromDisk = (key) => {
+        if (diskDir) {
+            fs.rmSync(diskPath(key), { force: true });
+        }
+    };
+
+    const forget = (key) => {
+        const entry = entries.get(key);
+        if (entry) {
+            entries.delete(key);
+            totalBytes -= entry.bytes;
+        }
+    };
+
+    const remember = (key, entry) => {
+        forget(key);
+        entries.set(key, entry);
+        totalBytes += entry.bytes;
+
+        for (const oldestKey of entries.keys()) {
+            if (entries.size <= CACHE_MAX_ENTRIES && totalBytes <= maxBytes) {
+                break;
+            }
+            forget(oldestKey);
+            counters.evictions++;
+        }
+    };
+
+    // Helper function to read an entry a previous run (or an evicted memory entry) left on disk
+    const readFromDisk = (key) => {
+        if (!diskDir) {
+            return null;
+        }
+        try {
+            const entry = JSON.parse(fs.readFileSync(diskPath(key), 'utf8'));
+            return entry.key === key ? entry : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    // Keep the disk layer within the same entry limit, dropping the oldest files first
+    const pruneDisk = () => {
+        try {
+            const files = fs.readdirSync(diskDir)
+                .filter(file => file.endsWith('.json'))
+                .map(file => ({ file, mtime: fs.statSync(path.join(diskDir, file)).mtimeMs }))
+                .sort((a, b) => a.mtime - b.mtime);
+            files.slice(0, Math.max(0, files.length - CACHE_MAX_ENTRIES))
+                .forEach(({ file }) => fs.rmSync(path.join(diskDir, file), { force: true }));
+        } catch (error) {
+            console.log(`Could not prune the ${name} cache:`, error.message);
+        }
+    };
+
+    const get = (key) => {
+        const entry = entries.get(key);
+        if (entry && isFresh(entry)) {
+            // Move it to the most recently used end
+            remember(key, entry);
+            counters.hits++;
+            return entry.data;
+        }
+        forget(key);
+
+        const stored = readFromDisk(key);
+        if (stored && isFresh(stored)) {
+            remember(key, { data: stored.data, storedAt: stored.storedAt, bytes: stored.bytes });
+            counters.diskHits++;
+            return stored.data;
+        }
+        if (stored) {
+            removeFromDisk(key);
+        }
+
+        counters.misses++;
+        return undefined;
+    };
+
+    const set = (key, data) => {
+        const json = JSON.stringify(data);
+        const entry = { data, storedAt: Date.now(), bytes: Buffer.byteLength(json) };
+        remember(key, entry);
+
+        if (diskDir) {
+            try {
+                const filePath = diskPath(key);
+                fs.writeFileSync(`${filePath}.tmp`, JSON.stringify({ key, storedAt: entry.storedAt, bytes: entry.bytes, data }));
+                fs.renameSync(`${filePath}.tmp`, filePath);
+                pruneDisk();
+            } catch (error) {
+                console.log(`Could not save ${name} cache entry:`, error.message);
+            }
+        }
+        return data;
+    };
+
+    // Return the cached value, or run fetch once for everyone asking for the same key
+    const getOrFetch = (key, fetch) => {
+        const cached = get(key);
+        if (cached !== undefined) {
+            return Promise.resolve(cached);
+        }
+        if (!pending.has(key)) {
+            pending.set(key, Promise.resolve()
+                .then(fetch)
+                .then(data => set(key, data))
+                .finally(() => pending.delete(key)));
+        }
+        return pending.get(key);
+    };
+
+    const remove = (key) => {
+        const existed = entries.has(key) || Boolean(readFromDisk(key));
+        forget(key);
+        removeFromDisk(key);
+        return existed;
+    };
+
+    // Drop every entry whose key matches; returns how many were dropped
+    const removeWhere = (matches) => {
+        const keys = new Set([...entries.keys()].filter(matches));
+        if (diskDir) {
+            fs.readdirSync(diskDir).filter(file => file.endsWith('.json')).forEach((file) => {
+                try {
+                    const { key } = JSON.parse(fs.readFileSync(path.join(diskDir, file), 'utf8'));
+                    if (typeof key === 'string' && matches(key)) {
+                        keys.add(key);
+                    }
+                } catch (error) {
+                    // Half-written or foreign files are left to pruneDisk
+                }
+            });
+        }
+        keys.forEach((key) => {
+            forget(key);
+            removeFromDisk(key);
+        });
+        return keys.size;
+    };
+
+    const countDiskEntries = () => fs.readdirSync(diskDir).filter(file => file.endsWith('.json')).length;
+
+    // Drop every entry; returns how many there were (on disk, entries evicted from memory count too)
+    const clear = () => {
+        const count = diskDir ? Math.max(entries.size, countDiskEntries()) : entries.size;
+        entries.clear();
+        totalBytes = 0;
+        if (diskDir) {
+            fs.readdirSync(diskDir).forEach(file => fs.rmSync(path.join(diskDir, file), { force: true }));
+        }
+        return count;
+    };
+
+    const stats = () => {
+        const lookups = counters.hits + counters.diskHits + counters.misses;
+        return {
+            name,
+            entries: entries.size,
+            bytes: totalBytes,
+            maxEntries: CACHE_MAX_ENTRIES,
+            maxBytes,
+            ttlMinutes: CACHE_TTL_MINUTES,
+            ...counters,
+            hitRate: lookups ? Math.round(((counters.hits + counters.diskHits) / lookups) * 1000) / 1000 : null,
+            disk: diskDir ? { enabled: true, entries: countDiskEntries() } : { enabled: false }
+        };
+    };
+
+    return { get, set, getOrFetch, remove, removeWhere, clear, stats };
+};
+
+module.exports = {
+    createInfoCache
+};
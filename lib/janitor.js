@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const jobs = require('./jobs');
+const fileRegistry = require('./files');
+const { readManifest } = require('./playlistResults');
+
+// Retention settings - Render's disk is small, so finished files don't stay forever
+const FILE_TTL_HOURS = parseFloat(process.env.FILE_TTL_HOURS) || 24;
+const DISK_QUOTA_MB = parseInt(process.env.DISK_QUOTA_MB, 10) || 5 * 1024;
+const JANITOR_INTERVAL_MINUTES = parseFloat(process.env.JANITOR_INTERVAL_MINUTES) || 10;
+
+// Partial files younger than this might still belong to a download that is starting up
+const ORPHAN_GRACE_PERIOD = 60 * 60 * 1000; // ms
+
+let lastRun = null;
+
+// What yt-dlp appends to an output name while it is unfinished, matched in full: ".mp4.part",
+// ".f137.webm.part-Frag3.part", ".en.vtt.part", ".mp4.ytdl", ".f137.mp4" (an unmerged
+// stream) and ".temp.mp4" (a post-processing step)
+const PARTIAL_SUFFIX = /^(?:\.[\w-]+)?\.\w+(?:\.part(?:-Frag\d+)?(?:\.part)?|\.ytdl)$|^\.f\d+(?:-[\w-]+)?\.\w+$|^\.temp\.\w+$/;
+const PARTIAL_NAME = /\.part(?:-Frag\d+)?(?:\.part)?$|\.ytdl$|\.f\d+(?:-[\w-]+)?\.\w+$|\.temp\.\w+$/;
+
+// Our own item log of a playlist download
+const ITEM_LOG = /^\.items-[\w-]+\.tsv$/;
+
+// Leftovers of an unfinished download in a playlist folder, where every name comes from yt-dlp
+const isPartialFile = file => PARTIAL_NAME.test(file) || ITEM_LOG.test(file);
+
+// Helper function to tell whether a file is a leftover of the output named prefix
+// ("Title" for a single download, or "" for everything in a playlist folder)
+const isPartialFileOf = (file, prefix) => (prefix
+    ? file.startsWith(`${prefix}.`) && PARTIAL_SUFFIX.test(file.slice(prefix.length))
+    : isPartialFile(file));
+
+const sameDir = (a, b) => path.resolve(a) === path.resolve(b);
+
+// Helper function to list the partial files of an output. Files in keep, produced files
+// and files of another job whose name starts with this one (e.g. "Title.temp" next to "Title")
+// are never included.
+const listPartialFiles = (dir, prefix = '', keep = []) => {
+    const produced = new Set(fileRegistry.listFiles().map(file => path.resolve(file.path)));
+    const longerPrefixes = jobs.listJobs()
+        .filter(job => job.output && sameDir(job.output.dir, dir) && job.output.prefix.length > prefix.length)
+        .map(job => job.output.prefix);
+
+    return fs.readdirSync(dir).filter(file => isPartialFileOf(file, prefix)
+        && !keep.includes(file)
+        && !produced.has(path.resolve(dir, file))
+        && !longerPrefixes.some(longer => file.startsWith(`${longer}.`)));
+};
+
+// Helper function to remove the partial files of an output
+const removePartialFiles = (dir, prefix = '', keep = []) => {
+    try {
+        const partialFiles = listPartialFiles(dir, prefix, keep);
+
+        partialFiles.forEach((file) => {
+            try {
+                fs.unlinkSync(path.join(dir, file));
+                console.log(`Removed partial file: ${file}`);
+            } catch (error) {
+                console.log(`Could not remove ${file}:`, error.message);
+            }
+        });
+        return partialFiles.length;
+    } catch (error) {
+        console.log('Partial file cleanup error:', error.message);
+        return 0;
+    }
+};
+
+// Helper function to remove a playlist or chapter folder once its last file is gone
+const removeEmptyDir = (dir, downloadsDir) => {
+    try {
+        if (path.resolve(dir) !== path.resolve(downloadsDir) && fs.readdirSync(dir).length === 0) {
+            fs.rmdirSync(dir);
+        }
+    } catch (error) {
+        // Already gone or not empty after all
+    }
+};
+
+// Delete a produced file from disk and from the registry
+const removeFile = (file, reason, downloadsDir) => {
+    try {
+        if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+        console.log(`🧹 Removed ${reason} file: ${file.name}`);
+    } catch (error) {
+        console.log(`Could not remove ${file.path}:`, error.message);
+        return false;
+    }
+    fileRegistry.unregisterFile(file.id);
+    removeEmptyDir(path.dirname(file.path), downloadsDir);
+    return true;
+};
+
+// Helper function to list the outputs of jobs, skipping any that would make a
+// whole folder of the user's downloads count as ours
+const jobOutputs = (downloadsDir, filter) => jobs.listJobs()
+    .filter(job => job.output && filter(job))
+    .map(job => job.output)
+    .filter(output => output.prefix || !sameDir(output.dir, downloadsDir));
+
+const isSameOutput = (a, b) => sameDir(a.dir, b.dir) && a.prefix === b.prefix;
+
+// Helper function to list the files of a playlist folder that are finished items
+const manifestFiles = (output) => {
+    const manifest = output.prefix ? null : readManifest(output.dir);
+    return manifest ? manifest.items.map(item => item.filename).filter(Boolean) : [];
+};
+
+// Helper function to find partial files of finished jobs' outputs, which no run will pick up
+// again. Only outputs the server created are looked at, never the rest of the downloads folder.
+const findOrphans = (downloadsDir, now) => {
+    const stillNeeded = jobOutputs(downloadsDir, job => job.state !== 'done' && job.state !== 'cancelled');
+    const orphans = new Map();
+
+    jobOutputs(downloadsDir, job => job.state === 'done' || job.state === 'cancelled')
+        .filter(output => !stillNeeded.some(needed => isSameOutput(needed, output)))
+        .forEach((output) => {
+            try {
+                listPartialFiles(output.dir, output.prefix, manifestFiles(output)).forEach((file) => {
+                    const filePath = path.join(output.dir, file);
+                    const stats = fs.statSync(filePath);
+                    if (stats.isFile() && now - stats.mtimeMs > ORPHAN_GRACE_PERIOD) {
+                        orphans.set(filePath, { path: filePath, size: stats.size });
+                    }
+                });
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.log(`Could not scan ${output.dir}:`, error.message);
+                }
+            }
+        });
+    return [...orphans.values()];
+};
+
+const lastUsed = file => Date.parse(file.lastAccessedAt || file.createdAt);
+
+// One janitor pass: forget files that vanished, expire old ones, evict the least
+// recently used ones while over the quota, and delete orphaned partial files
+const runJanitor = (downloadsDir) => {
+    const now = Date.now();
+    const summary = { at: new Date(now).toISOString(), missing: 0, expired: 0, evicted: 0, orphans: 0, freedBytes: 0 };
+
+    fileRegistry.listFiles().forEach((file) => {
+        if (!fs.existsSync(file.path)) {
+            fileRegistry.unregisterFile(file.id);
+            summary.missing++;
+        } else if (now - Date.parse(file.createdAt) > FILE_TTL_HOURS * 60 * 60 * 1000
+            && removeFile(file, 'expired', downloadsDir)) {
+            summary.expired++;
+            summary.freedBytes += file.size;
+        }
+    });
+
+    const quotaBytes = DISK_QUOTA_MB * 1024 * 1024;
+    let totalBytes = fileRegistry.listFiles().reduce((total, file) => total + file.size, 0);
+    const byLastUse = fileRegistry.listFiles().sort((a, b) => lastUsed(a) - lastUsed(b));
+    for (const file of byLastUse) {
+        if (totalBytes <= quotaBytes) {
+            break;
+        }
+        if (removeFile(file, 'least recently used', downloadsDir)) {
+            totalBytes -= file.size;
+            summary.evicted++;
+            summary.freedBytes += file.size;
+        }
+    }
+
+    findOrphans(downloadsDir, now).forEach((orphan) => {
+        try {
+            fs.unlinkSync(orphan.path);
+            console.log(`🧹 Removed orphaned partial file: ${orphan.path}`);
+            summary.orphans++;
+            summary.freedBytes += orphan.size;
+            removeEmptyDir(path.dirname(orphan.path), downloadsDir);
+        } catch (error) {
+            console.log(`Could not remove ${orphan.path}:`, error.message);
+        }
+    });
+
+    lastRun = summary;
+    return summary;
+};
+
+// Run the janitor now and then every JANITOR_INTERVAL_MINUTES
+const startJanitor = (downloadsDir) => {
+    // A pruned job's partial files can't be told apart from the user's own files later on
+    jobs.jobEvents.on('remove', (job) => {
+        if (job.output && (job.output.prefix || !sameDir(job.output.dir, downloadsDir))) {
+            removePartialFiles(job.output.dir, job.output.prefix, manifestFiles(job.output));
+        }
+    });
+    runJanitor(downloadsDir);
+    setInterval(() => runJanitor(downloadsDir), JANITOR_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+// Disk usage of the files the server produced, for the admin endpoint
+const getUsage = () => {
+    const registered = fileRegistry.listFiles();
+    const totalBytes = registered.reduce((total, file) => total + file.size, 0);
+    const quotaBytes = DISK_QUOTA_MB * 1024 * 1024;
+    const byAge = registered.map(file => file.createdAt).sort();
+
+    return {
+        files: registered.length,
+        totalBytes,
+        quotaBytes,
+        quotaUsedPercent: Math.round((totalBytes / quotaBytes) * 1000) / 10,
+        ttlHours: FILE_TTL_HOURS,
+        oldestFile: byAge[0] || null,
+        newestFile: byAge[byAge.length - 1] || null,
+        intervalMinutes: JANITOR_INTERVAL_MINUTES,
+        lastRun
+    };
+};
+
+module.exports = {
+    isPartialFile,
+    removePartialFiles,
+    runJanitor,
+    startJanitor,
+    getUsage
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const jobs = require('./jobs');
+
+// Batch job changes into one write instead of writing on every update
+const SAVE_DELAY = 500; // ms
+const STORE_VERSION = 1;
+
+// Helper function to read the jobs saved by a previous run
+const loadJobs = (filePath) => {
+    try {
+        if (!fs.existsSync(filePath)) {
+            return [];
+        }
+
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return Array.isArray(data.jobs) ? data.jobs : [];
+    } catch (error) {
+        console.error('Could not load saved jobs:', error.message);
+        return [];
+    }
+};
+
+// Write all jobs to disk; the rename keeps a crash mid-write from corrupting the file
+const saveJobs = (filePath) => {
+    const tempPath = `${filePath}.tmp`;
+    const data = {
+        version: STORE_VERSION,
+        savedAt: new Date().toISOString(),
+        jobs: jobs.listJobs()
+    };
+
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+};
+
+// Reload saved jobs and keep the file in sync from now on
+// Returns the jobs that were still queued or running when the server stopped
+const openJobStore = (filePath) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const restoredJobs = loadJobs(filePath).map(jobs.restoreJob);
+    let saveTimer = null;
+
+    const flush = () => {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        try {
+            saveJobs(filePath);
+        } catch (error) {
+            console.error('Could not save jobs:', error.message);
+        }
+    };
+
+    const scheduleSave = () => {
+        if (!saveTimer) {
+            saveTimer = setTimeout(flush, SAVE_DELAY);
+        }
+    };
+
+    jobs.jobEvents.on('update', (job, changes = {}) => {
+        // Progress ticks are too frequent to be worth persisting on their own
+        if (Object.keys(changes).every(key => key === 'progress')) {
+            return;
+        }
+        scheduleSave();
+    });
+    jobs.jobEvents.on('remove', scheduleSave);
+
+    const interruptedJobs = restoredJobs
+        .filter(job => !jobs.isFinished(job) && !jobs.isStopped(job))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    console.log(`💾 Restored ${restoredJobs.length} jobs from ${filePath} (${interruptedJobs.length} to resume)`);
+
+    return { interruptedJobs, flush };
+};
+
+module.exports = {
+    openJobStore
+};
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { killProcessTree } = require('./processTree');
+
+// Job lifecycle: queued -> running -> merging -> done | failed
+// A user can also pause a job (and retry it later) or cancel it for good
+const JOB_STATES = ['queued', 'running', 'merging', 'done', 'failed', 'paused', 'cancelled'];
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+const STOPPED_STATES = ['paused', 'cancelled'];
+const RETRYABLE_STATES = ['failed', 'paused', 'cancelled'];
+
+// Keep finished jobs around long enough for the frontend to pick up the result
+const JOB_RETENTION = 60 * 60 * 1000; // 1 hour
+// Paused jobs wait this long for a retry; then they are dropped and the janitor removes their partial files
+const PAUSED_JOB_RETENTION = (parseFloat(process.env.PAUSED_JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+const jobs = new Map();
+// Running yt-dlp child processes by job id (kept out of the job so it stays serializable)
+const processes = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Secret handed to whoever asked for a job; it is needed to mint new links to the job's files
+const newAccessToken = () => crypto.randomBytes(24).toString('base64url');
+
+// Helper function to create a new job in the queued state
+const createJob = ({ type, url, options = {}, priority = 0, dedupeKey = null }) => {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        accessToken: newAccessToken(),
+        type,
+        url,
+        options,
+        state: 'queued',
+        priority,
+        dedupeKey,
+        queuePosition: null,
+        filename: null,
+        downloadUrl: null,
+        result: null,
+        progress: null,
+        selectedFormats: [],
+        skippedItems: [],
+        output: null,
+        error: null,
+        attempts: 0,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    jobEvents.emit('update', job, { state: job.state });
+    return job;
+};
+
+// Helper function to put a job saved by a previous run back into memory
+const restoreJob = (savedJob) => {
+    const job = {
+        ...savedJob,
+        queuePosition: null,
+        // Jobs saved before access tokens existed get one nobody knows; only the admin can re-sign for them
+        accessToken: savedJob.accessToken || newAccessToken(),
+        dedupeKey: savedJob.dedupeKey || null,
+        progress: savedJob.progress || null,
+        selectedFormats: savedJob.selectedFormats || [],
+        skippedItems: savedJob.skippedItems || [],
+        attempts: savedJob.attempts || 0
+    };
+
+    jobs.set(job.id, job);
+    return job;
+};
+
+const getJob = (id) => jobs.get(id);
+
+const listJobs = () => Array.from(jobs.values());
+
+// Helper function to apply changes to a job and notify listeners
+const updateJob = (id, changes) => {
+    const job = jobs.get(id);
+    if (!job) {
+        return null;
+    }
+
+    if (changes.state && !JOB_STATES.includes(changes.state)) {
+        throw new Error(`Invalid job state: ${changes.state}`);
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(job, changes, { updatedAt: now });
+
+    if (changes.state === 'running' && !job.startedAt) {
+        job.startedAt = now;
+    }
+    if (FINISHED_STATES.includes(changes.state)) {
+        job.finishedAt = now;
+    }
+
+    jobEvents.emit('update', job, changes);
+    return job;
+};
+
+const isFinished = (job) => FINISHED_STATES.includes(job.state);
+
+// Helper function to check a job's access token in constant time
+const checkAccessToken = (job, token) => {
+    const given = Buffer.from(typeof token === 'string' ? token : '');
+    const expected = Buffer.from(job.accessToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const isStopped = (job) => STOPPED_STATES.includes(job.state);
+
+const canRetry = (job) => RETRYABLE_STATES.includes(job.state);
+
+// Remember the child process of a job's current run so it can be stopped later.
+// attempt is the run the process belongs to (as runJob passed it to the download function).
+const attachProcess = (job, childProcess, attempt) => {
+    // A run that was stopped and superseded by a retry must not start a second download
+    if (attempt !== job.attempts) {
+        killProcessTree(childProcess.pid);
+        return;
+    }
+
+    processes.set(job.id, childProcess);
+    childProcess.once('exit', () => {
+        if (processes.get(job.id) === childProcess) {
+            processes.delete(job.id);
+        }
+    });
+
+    // The job may have been stopped while we were still fetching video info
+    if (isStopped(job)) {
+        killProcessTree(childProcess.pid);
+    }
+};
+
+// Pause or cancel a job, resolving once its process tree has exited
+const stopJob = (job, state) => {
+    if (!STOPPED_STATES.includes(state)) {
+        throw new Error(`Cannot stop a job with state: ${state}`);
+    }
+
+    updateJob(job.id, { state });
+
+    const childProcess = processes.get(job.id);
+    if (!childProcess) {
+        return Promise.resolve(job);
+    }
+
+    return new Promise(resolve => {
+        childProcess.once('exit', () => resolve(job));
+        killProcessTree(childProcess.pid);
+    });
+};
+
+// Public view of a job returned by the API
+const serializeJob = (job) => ({
+    id: job.id,
+    type: job.type,
+    url: job.url,
+    state: job.state,
+    priority: job.priority,
+    queuePosition: job.queuePosition,
+    filename: job.filename,
+    downloadUrl: job.downloadUrl,
+    result: job.result,
+    progress: job.progress,
+    selectedFormats: job.selectedFormats,
+    skippedItems: job.skippedItems,
+    error: job.error,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+});
+
+// Run a job with the given download function and record its outcome.
+// Each run is numbered by its attempt, so a stale run can't finish the job for a newer one.
+const runJob = async (job, run) => {
+    const attempt = job.attempts + 1;
+    updateJob(job.id, {
+        state: 'running',
+        error: null,
+        progress: null,
+        selectedFormats: [],
+        skippedItems: [],
+        finishedAt: null,
+        attempts: attempt
+    });
+
+    try {
+        const result = await run(job, attempt);
+        if (isStopped(job) || job.attempts !== attempt) {
+            return job;
+        }
+        updateJob(job.id, {
+            state: 'done',
+            filename: result.filename || null,
+            downloadUrl: result.downloadUrl || null,
+            result
+        });
+    } catch (error) {
+        // Killing the process makes the download fail; keep the state the user asked for
+        if (isStopped(job) || job.attempts !== attempt) {
+            console.log(`Job ${job.id} ${job.state}`);
+            return job;
+        }
+        console.error(`Job ${job.id} failed:`, error.message);
+        updateJob(job.id, { state: 'failed', error: error.message });
+    }
+
+    return job;
+};
+
+// Resolve once a job has finished (done, failed or cancelled) or was paused,
+// since a paused job only goes on when someone retries it
+const isSettled = (job) => isFinished(job) || job.state === 'paused';
+
+const waitForJob = (job) => new Promise(resolve => {
+    if (isSettled(job)) {
+        return resolve(job);
+    }
+
+    const onUpdate = (updatedJob) => {
+        if (updatedJob.id === job.id && isSettled(updatedJob)) {
+            jobEvents.removeListener('update', onUpdate);
+            resolve(updatedJob);
+        }
+    };
+    jobEvents.on('update', onUpdate);
+});
+
+// Helper function to tell whether a job has outlived its retention window
+const isExpired = (job, now) => (job.state === 'paused'
+    ? now - new Date(job.updatedAt).getTime() > PAUSED_JOB_RETENTION
+    : isFinished(job) && now - new Date(job.finishedAt).getTime() > JOB_RETENTION);
+
+// Drop finished jobs and paused jobs nobody resumed that are older than their retention window
+const pruneJobs = () => {
+    const now = Date.now();
+    for (const job of jobs.values()) {
+        if (isExpired(job, now)) {
+            jobs.delete(job.id);
+            jobEvents.emit('remove', job);
+        }
+    }
+};
+
+setInterval(pruneJobs, 10 * 60 * 1000).unref();
+
+module.exports = {
+    JOB_STATES,
+    jobEvents,
+    createJob,
+    restoreJob,
+    getJob,
+    listJobs,
+    updateJob,
+    isFinished,
+    isStopped,
+    canRetry,
+    attachProcess,
+    stopJob,
+    serializeJob,
+    checkAccessToken,
+    runJob,
+    waitForJob
+};
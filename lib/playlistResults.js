@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+const M3U_FILE = 'playlist.m3u8';
+
+// yt-dlp appends one line per finished item to this file: "index<TAB>id<TAB>final path"
+const ITEM_LOG_TEMPLATE = 'after_move:%(playlist_index)s\t%(id)s\t%(filepath)s';
+
+// e.g. "ERROR: [youtube] dQw4w9WgXcQ: Private video. Sign in if you've been granted access"
+const ITEM_ERROR_PATTERN = /^ERROR: \[[^\]]+\] ([\w-]+): (.+)$/;
+
+// Build the yt-dlp arguments that record which file each item ended up in
+const buildItemLogArgs = (logPath) => [
+    // The file name is an output template too, so any % has to be escaped
+    '--print-to-file', ITEM_LOG_TEMPLATE, logPath.replace(/%/g, '%%')
+];
+
+// Helper function to read the item log written during the download (and remove it)
+const readItemLog = (logPath) => {
+    if (!fs.existsSync(logPath)) {
+        return new Map();
+    }
+
+    const filesById = new Map();
+    fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).forEach((line) => {
+        const [, id, filePath] = line.split('\t');
+        if (id && filePath) {
+            filesById.set(id, filePath);
+        }
+    });
+    fs.unlinkSync(logPath);
+    return filesById;
+};
+
+// Helper function to pick the per-item errors out of yt-dlp's stderr
+const parseItemErrors = (stderr) => {
+    const errorsById = new Map();
+    (stderr || '').split('\n').forEach((line) => {
+        const match = line.trim().match(ITEM_ERROR_PATTERN);
+        if (match) {
+            errorsById.set(match[1], match[2]);
+        }
+    });
+    return errorsById;
+};
+
+const statusForError = (reason) => {
+    if (/private/i.test(reason)) {
+        return 'private';
+    }
+    if (/unavailable|removed|terminated|deleted|not available/i.test(reason)) {
+        return 'unavailable';
+    }
+    return 'failed';
+};
+
+// Work out what happened to every playlist item: downloaded (with its file and size),
+// private, unavailable, failed (with the reason) or skipped
+const buildItemResults = ({ dir, selected, skipped, filesById, errorsById }) => {
+    const downloadedOrFailed = selected.map((item) => {
+        const filePath = item.id && filesById.get(item.id);
+        if (filePath && fs.existsSync(filePath)) {
+            return {
+                ...item,
+                status: 'downloaded',
+                error: null,
+                filename: path.relative(dir, filePath),
+                size: fs.statSync(filePath).size
+            };
+        }
+
+        const reason = (item.id && errorsById.get(item.id)) || 'No output file was produced';
+        return { ...item, status: statusForError(reason), error: reason, filename: null, size: null };
+    });
+
+    const skippedItems = skipped.map(item => ({
+        ...item,
+        status: 'skipped',
+        error: item.reason,
+        filename: null,
+        size: null
+    }));
+
+    return [...downloadedOrFailed, ...skippedItems]
+        .map(({ reason, ...item }) => item)
+        .sort((a, b) => a.index - b.index);
+};
+
+// Helper function to read the manifest an earlier run left in a folder (null when there is none)
+const readManifest = (dir) => {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+};
+
+// Write the JSON manifest and an .m3u8 playlist of the downloaded items next to them
+const writeManifest = (dir, manifest) => {
+    fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    const lines = ['#EXTM3U', `#PLAYLIST:${manifest.title}`];
+    manifest.items.filter(item => item.status === 'downloaded').forEach((item) => {
+        lines.push(`#EXTINF:${Math.round(item.duration || -1)},${item.title || item.filename}`, item.filename);
+    });
+    fs.writeFileSync(path.join(dir, M3U_FILE), `${lines.join('\n')}\n`);
+
+    return { manifestFile: MANIFEST_FILE, playlistFile: M3U_FILE };
+};
+
+module.exports = {
+    buildItemLogArgs,
+    readItemLog,
+    parseItemErrors,
+    buildItemResults,
+    readManifest,
+    writeManifest
+};
@@ -0,0 +1,191 @@
+const { invalidInput } = require('./ytdlp');
+
+// "1-5,8,12-": single items, closed ranges and open-ended ranges, 1-based
+const RANGE_PATTERN = /^(\d+)(?:(-)(\d*))?$/;
+const VIDEO_ID_PATTERN = /^[\w-]{1,64}$/;
+const DATE_PATTERN = /^(\d{4})-?(\d{2})-?(\d{2})$/;
+
+// Helper function to parse an item spec like "1-5,8,12-" into ranges
+const parseItemRanges = (spec) => {
+    if (typeof spec !== 'string' || spec.trim() === '') {
+        throw invalidInput('items must be a list of indices or ranges, e.g. "1-5,8,12-"');
+    }
+
+    return spec.split(',').map((part) => {
+        const match = part.trim().match(RANGE_PATTERN);
+        if (!match) {
+            throw invalidInput(`Invalid playlist item range: ${part.trim()}`);
+        }
+
+        const start = Number(match[1]);
+        const end = match[2] ? (match[3] ? Number(match[3]) : null) : start;
+        if (start < 1 || (end !== null && end < start)) {
+            throw invalidInput(`Invalid playlist item range: ${part.trim()}`);
+        }
+        return { start, end };
+    });
+};
+
+// Helper function to check that a date exists (Date rolls e.g. February 30th over into March)
+const isRealDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Helper function to read a date as YYYYMMDD, the way yt-dlp reports upload dates
+const parseDate = (value, name) => {
+    const match = typeof value === 'string' ? value.match(DATE_PATTERN) : null;
+    if (!match || !isRealDate(Number(match[1]), Number(match[2]), Number(match[3]))) {
+        throw invalidInput(`${name} must be a date like 2024-01-31`);
+    }
+    return `${match[1]}${match[2]}${match[3]}`;
+};
+
+// Helper function to turn a playlist request's selection options into validated criteria
+// (null when every item should be downloaded)
+const parsePlaylistSelection = ({ items, videoIds, filters } = {}) => {
+    if (items === undefined && videoIds === undefined && filters === undefined) {
+        return null;
+    }
+
+    const selection = {
+        ranges: items === undefined ? null : parseItemRanges(items),
+        videoIds: null,
+        maxDuration: null,
+        minDuration: null,
+        uploadedAfter: null,
+        uploadedBefore: null,
+        titleKeyword: null
+    };
+
+    if (videoIds !== undefined) {
+        if (!Array.isArray(videoIds) || videoIds.length === 0
+            || !videoIds.every(id => typeof id === 'string' && VIDEO_ID_PATTERN.test(id))) {
+            throw invalidInput('videoIds must be a non-empty list of video IDs');
+        }
+        selection.videoIds = videoIds;
+    }
+
+    if (filters !== undefined) {
+        if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+            throw invalidInput('filters must be an object');
+        }
+
+        ['maxDuration', 'minDuration'].forEach((name) => {
+            if (filters[name] !== undefined) {
+                const seconds = Number(filters[name]);
+                if (!Number.isFinite(seconds) || seconds <= 0) {
+                    throw invalidInput(`filters.${name} must be a positive number of seconds`);
+                }
+                selection[name] = seconds;
+            }
+        });
+        if (selection.minDuration && selection.maxDuration && selection.minDuration > selection.maxDuration) {
+            throw invalidInput('filters.minDuration cannot be larger than filters.maxDuration');
+        }
+
+        ['uploadedAfter', 'uploadedBefore'].forEach((name) => {
+            if (filters[name] !== undefined) {
+                selection[name] = parseDate(filters[name], `filters.${name}`);
+            }
+        });
+        if (selection.uploadedAfter && selection.uploadedBefore && selection.uploadedAfter > selection.uploadedBefore) {
+            throw invalidInput('filters.uploadedAfter cannot be later than filters.uploadedBefore');
+        }
+
+        if (filters.titleKeyword !== undefined) {
+            if (typeof filters.titleKeyword !== 'string' || filters.titleKeyword.trim() === '') {
+                throw invalidInput('filters.titleKeyword must be a non-empty string');
+            }
+            selection.titleKeyword = filters.titleKeyword.trim();
+        }
+    }
+
+    return selection;
+};
+
+const inRanges = (index, ranges) => ranges.some(range =>
+    index >= range.start && (range.end === null || index <= range.end)
+);
+
+// Helper function to find why an entry doesn't match the selection (null when it does)
+const skipReason = (entry, index, selection) => {
+    if (selection.ranges && !inRanges(index, selection.ranges)) {
+        return 'not in selected items';
+    }
+    if (selection.videoIds && !selection.videoIds.includes(entry.id)) {
+        return 'not in selected video IDs';
+    }
+    if (selection.maxDuration && entry.duration && entry.duration > selection.maxDuration) {
+        return `longer than ${selection.maxDuration} seconds`;
+    }
+    if (selection.minDuration && entry.duration && entry.duration < selection.minDuration) {
+        return `shorter than ${selection.minDuration} seconds`;
+    }
+    if (selection.uploadedAfter && entry.upload_date && entry.upload_date < selection.uploadedAfter) {
+        return `uploaded before ${selection.uploadedAfter}`;
+    }
+    if (selection.uploadedBefore && entry.upload_date && entry.upload_date > selection.uploadedBefore) {
+        return `uploaded after ${selection.uploadedBefore}`;
+    }
+    if (selection.titleKeyword
+        && !(entry.title || '').toLowerCase().includes(selection.titleKeyword.toLowerCase())) {
+        return `title does not contain "${selection.titleKeyword}"`;
+    }
+    return null;
+};
+
+// Split a playlist's entries into the ones to download and the ones skipped (with a reason).
+// Flat playlist entries often lack an upload date; those are left for yt-dlp to check
+// with the arguments from buildSelectionArgs.
+const selectPlaylistItems = (entries, selection) => {
+    const selected = [];
+    const skipped = [];
+
+    entries.forEach((entry, position) => {
+        const index = entry.playlist_index || position + 1;
+        const item = { index, id: entry.id || null, title: entry.title || null, duration: entry.duration || null };
+        const reason = selection ? skipReason(entry, index, selection) : null;
+
+        if (reason) {
+            skipped.push({ ...item, reason });
+        } else {
+            selected.push(item);
+        }
+    });
+
+    return { selected, skipped };
+};
+
+// Helper function to find the last item a selection can pick (null when it can reach the end),
+// so long listings like a channel's uploads only need to be read that far
+const lastSelectedIndex = (selection) => {
+    if (!selection || !selection.ranges || selection.ranges.some(range => range.end === null)) {
+        return null;
+    }
+    return Math.max(...selection.ranges.map(range => range.end));
+};
+
+// Build the yt-dlp arguments that download only the selected items
+const buildSelectionArgs = (selection, selected) => {
+    if (!selection) {
+        return [];
+    }
+
+    const args = ['--playlist-items', selected.map(item => item.index).join(',')];
+    if (selection.uploadedAfter) {
+        args.push('--dateafter', selection.uploadedAfter);
+    }
+    if (selection.uploadedBefore) {
+        args.push('--datebefore', selection.uploadedBefore);
+    }
+    return args;
+};
+
+module.exports = {
+    parseItemRanges,
+    parsePlaylistSelection,
+    selectPlaylistItems,
+    lastSelectedIndex,
+    buildSelectionArgs
+};
@@ -0,0 +1,87 @@
+const { execFile, execFileSync } = require('child_process');
+const os = require('os');
+
+// How long a process gets to exit after SIGTERM before it is killed outright
+const KILL_GRACE_PERIOD = 5000; // 5 seconds
+
+// Helper function to collect every descendant pid of a process (POSIX only)
+const getDescendantPids = (pid) => {
+    const output = execFileSync('ps', ['-A', '-o', 'pid=,ppid='], { encoding: 'utf8' });
+    const childrenByParent = new Map();
+
+    output.split('\n').forEach(line => {
+        const [childPid, parentPid] = line.trim().split(/\s+/).map(Number);
+        if (!childPid) {
+            return;
+        }
+        if (!childrenByParent.has(parentPid)) {
+            childrenByParent.set(parentPid, []);
+        }
+        childrenByParent.get(parentPid).push(childPid);
+    });
+
+    const descendants = [];
+    const pending = [pid];
+    while (pending.length > 0) {
+        const children = childrenByParent.get(pending.pop()) || [];
+        descendants.push(...children);
+        pending.push(...children);
+    }
+    return descendants;
+};
+
+const isAlive = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Terminate a process together with everything it spawned (yt-dlp -> ffmpeg)
+const killProcessTree = (pid) => {
+    if (!pid) {
+        return;
+    }
+
+    if (os.platform() === 'win32') {
+        execFile('taskkill', ['/pid', String(pid), '/T', '/F'], (error) => {
+            if (error) {
+                console.log(`Could not kill process tree ${pid}:`, error.message);
+            }
+        });
+        return;
+    }
+
+    let pids = [pid];
+    try {
+        // Children first so ffmpeg doesn't get re-parented and keep running
+        pids = [...getDescendantPids(pid).reverse(), pid];
+    } catch (error) {
+        console.log(`Could not list child processes of ${pid}:`, error.message);
+    }
+
+    pids.forEach(target => {
+        try {
+            process.kill(target, 'SIGTERM');
+        } catch (error) {
+            // Already exited
+        }
+    });
+
+    setTimeout(() => {
+        pids.filter(isAlive).forEach(target => {
+            try {
+                process.kill(target, 'SIGKILL');
+                console.log(`Force killed process ${target}`);
+            } catch (error) {
+                // Already exited
+            }
+        });
+    }, KILL_GRACE_PERIOD).unref();
+};
+
+module.exports = {
+    killProcessTree
+};
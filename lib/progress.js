@@ -0,0 +1,194 @@
+const jobs = require('./jobs');
+
+// Markers so progress lines can be told apart from regular yt-dlp output
+const PROGRESS_MARKER = '__PROGRESS__';
+const POSTPROCESS_MARKER = '__POSTPROCESS__';
+
+// yt-dlp flags that make it print one machine-readable line per progress update
+const PROGRESS_ARGS = [
+    '--newline',
+    '--progress-template',
+    `download:${PROGRESS_MARKER}%(progress.downloaded_bytes)s|%(progress.total_bytes)s|%(progress.total_bytes_estimate)s|%(progress.speed)s|%(progress.eta)s|%(info.playlist_index)s|%(info.n_entries)s|%(info.id)s|%(info.title)s`,
+    '--progress-template',
+    `postprocess:${POSTPROCESS_MARKER}%(progress.status)s|%(progress.postprocessor)s`
+];
+
+// Don't flood listeners with every progress line yt-dlp prints
+const PROGRESS_THROTTLE = 500; // ms
+
+// Helper function to turn a template value into a number ("NA" when yt-dlp has no value)
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+const phaseForPostprocessor = (postprocessor) => (
+    postprocessor === 'Merger' ? 'merging' : 'post-processing'
+);
+
+// Parse a single line of yt-dlp output into a progress event
+const parseProgressLine = (line) => {
+    const progressIndex = line.indexOf(PROGRESS_MARKER);
+    if (progressIndex !== -1) {
+        const fields = line.slice(progressIndex + PROGRESS_MARKER.length).split('|');
+        const [downloaded, total, totalEstimate, speed, eta, playlistIndex, playlistCount, id] = fields;
+        const title = fields.slice(8).join('|');
+        const downloadedBytes = toNumber(downloaded);
+        const totalBytes = toNumber(total) || toNumber(totalEstimate);
+
+        return {
+            kind: 'progress',
+            phase: 'downloading',
+            downloadedBytes,
+            totalBytes,
+            percent: downloadedBytes !== null && totalBytes
+                ? Math.min(100, Math.round((downloadedBytes / totalBytes) * 1000) / 10)
+                : null,
+            speed: toNumber(speed),
+            eta: toNumber(eta),
+            item: {
+                playlistIndex: toNumber(playlistIndex),
+                playlistCount: toNumber(playlistCount),
+                id: id && id !== 'NA' ? id : null,
+                title: title && title !== 'NA' ? title : null
+            }
+        };
+    }
+
+    const postprocessIndex = line.indexOf(POSTPROCESS_MARKER);
+    if (postprocessIndex !== -1) {
+        const [status, postprocessor] = line.slice(postprocessIndex + POSTPROCESS_MARKER.length).split('|');
+        if (status !== 'started') {
+            return null;
+        }
+        return { kind: 'phase', phase: phaseForPostprocessor(postprocessor), postprocessor };
+    }
+
+    // Fallbacks for yt-dlp builds that ignore the postprocess template
+    if (line.startsWith('[Merger]')) {
+        return { kind: 'phase', phase: 'merging', postprocessor: 'Merger' };
+    }
+
+    // e.g. "[info] dQw4w9WgXcQ: Downloading 1 format(s): 137+140"
+    const formatMatch = line.match(/^\[info\] ([^:]+): Downloading \d+ format\(s\): (\S+)/);
+    if (formatMatch) {
+        return { kind: 'format', videoId: formatMatch[1], formatId: formatMatch[2] };
+    }
+
+    // e.g. "[download] 2020-01-01 upload date is not in range 20210101-99991231"
+    const skipMatch = line.match(/^\[download\] (.+(?:upload date is not in range|does not pass filter).*)$/);
+    if (skipMatch) {
+        return { kind: 'skip', reason: skipMatch[1] };
+    }
+
+    const itemMatch = line.match(/^\[download\] Downloading (?:item|video) (\d+) of (\d+)/);
+    if (itemMatch) {
+        return { kind: 'item', position: Number(itemMatch[1]), count: Number(itemMatch[2]) };
+    }
+
+    return null;
+};
+
+// Follow a yt-dlp child process and keep the job's progress up to date
+const trackProgress = (job, childProcess) => {
+    let progress = {
+        phase: 'downloading',
+        percent: null,
+        downloadedBytes: null,
+        totalBytes: null,
+        speed: null,
+        eta: null,
+        item: null
+    };
+    let lastUpdate = 0;
+
+    const publish = (force) => {
+        const now = Date.now();
+        if (!force && now - lastUpdate < PROGRESS_THROTTLE) {
+            return;
+        }
+        lastUpdate = now;
+
+        const state = progress.phase === 'downloading' ? 'running' : 'merging';
+        const changes = { progress: { ...progress } };
+        if (!jobs.isFinished(job) && !jobs.isStopped(job) && job.state !== state) {
+            changes.state = state;
+        }
+        jobs.updateJob(job.id, changes);
+    };
+
+    const handleLine = (line) => {
+        const event = parseProgressLine(line.trim());
+        if (!event) {
+            return;
+        }
+
+        if (event.kind === 'format') {
+            const selectedFormats = [...(job.selectedFormats || []), {
+                videoId: event.videoId,
+                formatId: event.formatId,
+                formatIds: event.formatId.split('+')
+            }];
+            jobs.updateJob(job.id, { selectedFormats });
+            return;
+        }
+
+        if (event.kind === 'skip') {
+            const skippedItems = [...(job.skippedItems || []), {
+                item: progress.item ? progress.item.position : null,
+                reason: event.reason
+            }];
+            jobs.updateJob(job.id, { skippedItems });
+            return;
+        }
+
+        const phaseChanged = event.phase && event.phase !== progress.phase;
+
+        if (event.kind === 'progress') {
+            const item = event.item.playlistIndex !== null || event.item.title
+                ? { ...progress.item, ...event.item }
+                : progress.item;
+            progress = { ...progress, ...event, item };
+            delete progress.kind;
+        } else if (event.kind === 'phase') {
+            progress = { ...progress, phase: event.phase };
+        } else if (event.kind === 'item') {
+            progress = {
+                ...progress,
+                phase: 'downloading',
+                percent: 0,
+                // The new item's playlist index, ID and title come with its first progress line
+                item: {
+                    position: event.position,
+                    count: event.count,
+                    playlistIndex: null,
+                    playlistCount: progress.item ? progress.item.playlistCount : null,
+                    id: null,
+                    title: null
+                }
+            };
+        }
+
+        publish(phaseChanged || event.kind === 'item');
+    };
+
+    // yt-dlp may report progress on either stream, and chunks can split lines
+    [childProcess.stdout, childProcess.stderr].forEach((stream) => {
+        if (!stream) {
+            return;
+        }
+        let buffered = '';
+        stream.on('data', (chunk) => {
+            buffered += chunk.toString();
+            const lines = buffered.split(/\r?\n|\r/);
+            buffered = lines.pop();
+            lines.forEach(handleLine);
+        });
+    });
+};
+
+module.exports = {
+    PROGRESS_ARGS,
+    parseProgressLine,
+    trackProgress
+};
@@ -0,0 +1,144 @@
+const jobs = require('./jobs');
+
+// Concurrency limits - every download is a yt-dlp + ffmpeg pipeline, so keep these small
+const MAX_CONCURRENT_DOWNLOADS = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS, 10) || 2;
+const MAX_CONCURRENT_PLAYLISTS = parseInt(process.env.MAX_CONCURRENT_PLAYLISTS, 10) || 1;
+const MAX_QUEUE_SIZE = parseInt(process.env.MAX_QUEUE_SIZE, 10) || 20;
+const RETRY_AFTER_SECONDS = parseInt(process.env.QUEUE_RETRY_AFTER, 10) || 30;
+
+const PRIORITIES = { low: -1, normal: 0, high: 1 };
+
+// Waiting jobs, highest priority first and FIFO within the same priority
+const queue = [];
+const active = new Map();
+// Streams hold a download slot for as long as they run, outside the queue
+let activeStreams = 0;
+
+const countRunning = () => active.size + activeStreams;
+
+// Helper function to turn a request's priority into a number (higher runs first)
+const parsePriority = (priority) => {
+    if (priority === undefined || priority === null || priority === '') {
+        return PRIORITIES.normal;
+    }
+    if (Object.prototype.hasOwnProperty.call(PRIORITIES, priority)) {
+        return PRIORITIES[priority];
+    }
+    const value = Number(priority);
+    if (!Number.isInteger(value)) {
+        throw new Error(`Invalid priority: ${priority}. Use low, normal, high or an integer.`);
+    }
+    return Math.max(-10, Math.min(10, value));
+};
+
+const isFull = () => queue.length >= MAX_QUEUE_SIZE;
+
+const countActivePlaylists = () => (
+    Array.from(active.values()).filter(job => job.type === 'playlist').length
+);
+
+// Keep every waiting job's reported position in sync with the queue
+const updatePositions = () => {
+    queue.forEach((entry, index) => {
+        if (entry.job.queuePosition !== index + 1) {
+            jobs.updateJob(entry.job.id, { queuePosition: index + 1 });
+        }
+    });
+};
+
+// Start as many queued jobs as the concurrency limits allow
+const schedule = () => {
+    for (let index = 0; index < queue.length && countRunning() < MAX_CONCURRENT_DOWNLOADS;) {
+        const { job, run } = queue[index];
+
+        // A playlist waiting on the playlist limit shouldn't block single videos behind it
+        if (job.type === 'playlist' && countActivePlaylists() >= MAX_CONCURRENT_PLAYLISTS) {
+            index++;
+            continue;
+        }
+
+        queue.splice(index, 1);
+        active.set(job.id, job);
+        jobs.updateJob(job.id, { queuePosition: null });
+
+        jobs.runJob(job, run).finally(() => {
+            active.delete(job.id);
+            schedule();
+        });
+    }
+
+    updatePositions();
+};
+
+// Add a job to the queue; callers should check isFull() first to answer with a 503
+// (force skips the size check, for jobs resumed after a restart)
+const enqueue = (job, run, { force = false } = {}) => {
+    if (isFull() && !force) {
+        throw new Error('Download queue is full');
+    }
+
+    const priority = job.priority || 0;
+    const entry = { job, run, priority };
+    const index = queue.findIndex(queued => queued.priority < priority);
+    queue.splice(index === -1 ? queue.length : index, 0, entry);
+
+    jobs.updateJob(job.id, { state: 'queued', priority, finishedAt: null, error: null });
+    schedule();
+    return job;
+};
+
+// Take a job out of the queue before it started (e.g. when it is cancelled)
+const remove = (jobId) => {
+    const index = queue.findIndex(entry => entry.job.id === jobId);
+    if (index === -1) {
+        return false;
+    }
+
+    const [{ job }] = queue.splice(index, 1);
+    jobs.updateJob(job.id, { queuePosition: null });
+    updatePositions();
+    return true;
+};
+
+// Take a download slot right away for work that can't wait in the queue (a stream to a client
+// that is waiting for bytes). Returns a function that gives the slot back, or null when every
+// slot is busy.
+const acquireSlot = () => {
+    if (countRunning() >= MAX_CONCURRENT_DOWNLOADS) {
+        return null;
+    }
+
+    activeStreams++;
+    let released = false;
+    return () => {
+        if (!released) {
+            released = true;
+            activeStreams--;
+            schedule();
+        }
+    };
+};
+
+// Whether a job's run is still in progress (a stopped job stays active until its run returns)
+const isActive = (jobId) => active.has(jobId);
+
+const getStats = () => ({
+    running: active.size,
+    streaming: activeStreams,
+    runningPlaylists: countActivePlaylists(),
+    queued: queue.length,
+    maxConcurrent: MAX_CONCURRENT_DOWNLOADS,
+    maxConcurrentPlaylists: MAX_CONCURRENT_PLAYLISTS,
+    maxQueueSize: MAX_QUEUE_SIZE
+});
+
+module.exports = {
+    RETRY_AFTER_SECONDS,
+    parsePriority,
+    isFull,
+    enqueue,
+    remove,
+    isActive,
+    acquireSlot,
+    getStats
+};
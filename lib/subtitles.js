@@ -0,0 +1,116 @@
+const fs = require('fs');
+const { invalidInput } = require('./ytdlp');
+
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+
+// Containers that can carry soft subtitle tracks
+const EMBED_CONTAINERS = ['mp4', 'mkv'];
+
+// Language codes as yt-dlp reports them, e.g. "en", "pt-BR", "zh-Hans", "en-de" (auto-translated)
+const LANGUAGE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]+)*$/;
+
+// Not subtitles, even though yt-dlp lists them alongside
+const IGNORED_TRACKS = ['live_chat', 'rechat'];
+
+// Helper function to summarize one of yt-dlp's subtitle maps ({ language: [tracks] })
+const summarizeTracks = (tracks) => Object.entries(tracks || {})
+    .filter(([language]) => !IGNORED_TRACKS.includes(language))
+    .map(([language, formats]) => ({
+        language,
+        name: (formats.find(format => format.name) || {}).name || language,
+        formats: [...new Set(formats.map(format => format.ext).filter(Boolean))]
+    }));
+
+// List the manual and auto-generated subtitle languages of a video
+const listSubtitles = (info) => ({
+    manual: summarizeTracks(info.subtitles),
+    automatic: summarizeTracks(info.automatic_captions)
+});
+
+// Helper function to turn a subtitles request into validated preferences (null when none were asked for)
+const parseSubtitlePreferences = (subtitles) => {
+    if (subtitles === undefined || subtitles === null) {
+        return null;
+    }
+    if (typeof subtitles !== 'object' || Array.isArray(subtitles)) {
+        throw invalidInput('subtitles must be an object');
+    }
+
+    const preferences = {
+        languages: subtitles.languages,
+        format: subtitles.format || 'srt',
+        includeAuto: subtitles.includeAuto === undefined ? false : subtitles.includeAuto
+    };
+
+    if (!Array.isArray(preferences.languages) || preferences.languages.length === 0) {
+        throw invalidInput('subtitles.languages must be a non-empty list of language codes');
+    }
+    preferences.languages.forEach((language) => {
+        if (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language)) {
+            throw invalidInput(`Invalid subtitle language: ${language}`);
+        }
+    });
+    if (!SUBTITLE_FORMATS.includes(preferences.format)) {
+        throw invalidInput(`Unsupported subtitle format: ${preferences.format}. Use one of: ${SUBTITLE_FORMATS.join(', ')}`);
+    }
+    if (typeof preferences.includeAuto !== 'boolean') {
+        throw invalidInput('subtitles.includeAuto must be true or false');
+    }
+
+    return preferences;
+};
+
+// Check the requested languages against the ones the video really has
+const checkSubtitlesAvailable = (preferences, info) => {
+    const available = listSubtitles(info);
+    const tracks = preferences.includeAuto ? [...available.manual, ...available.automatic] : available.manual;
+    const languages = new Set(tracks.map(track => track.language));
+
+    const missing = preferences.languages.filter(language => !languages.has(language));
+    if (missing.length > 0) {
+        throw invalidInput(`No ${preferences.includeAuto ? '' : 'manual '}subtitles in: ${missing.join(', ')}`);
+    }
+};
+
+// Build the yt-dlp arguments that fetch the subtitles, either as sidecar files
+// next to the download or embedded as soft subtitle tracks
+const buildSubtitleArgs = (preferences, { embed = false } = {}) => {
+    const args = ['--write-subs'];
+    if (preferences.includeAuto) {
+        args.push('--write-auto-subs');
+    }
+    args.push(
+        '--sub-langs', preferences.languages.join(','),
+        '--sub-format', `${preferences.format}/best`,
+        '--convert-subs', preferences.format
+    );
+    if (embed) {
+        args.push('--embed-subs');
+    }
+    return args;
+};
+
+// Helper function to check subtitles can be embedded in a download's container
+const checkEmbeddable = (container) => {
+    if (!EMBED_CONTAINERS.includes(container)) {
+        throw invalidInput(`Subtitles can only be embedded in ${EMBED_CONTAINERS.join(' or ')} downloads`);
+    }
+};
+
+// List the subtitle files yt-dlp wrote for a download, e.g. "Title.en.srt"
+const listSubtitleFiles = (dir, prefix, preferences) => fs.readdirSync(dir)
+    .filter(file => file.endsWith(`.${preferences.format}`) && (!prefix || file.startsWith(`${prefix}.`)))
+    .map((file) => {
+        const parts = file.split('.');
+        return { language: parts[parts.length - 2], filename: file };
+    });
+
+module.exports = {
+    SUBTITLE_FORMATS,
+    listSubtitles,
+    parseSubtitlePreferences,
+    checkSubtitlesAvailable,
+    checkEmbeddable,
+    buildSubtitleArgs,
+    listSubtitleFiles
+};
@@ -0,0 +1,196 @@
+const { invalidInput } = require('./ytdlp');
+
+// YouTube video IDs are 11 characters from the URL-safe base64 alphabet
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const PLAYLIST_ID_PATTERN = /^[\w-]{2,64}$/;
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+// Handles are 3 to 30 letters, digits, underscores, hyphens and periods
+const HANDLE_PATTERN = /^@[\p{L}\p{N}_.-]{3,30}$/u;
+
+// Path prefixes that are followed by a video ID, e.g. /shorts/dQw4w9WgXcQ
+const VIDEO_PATH_KINDS = { shorts: 'short', live: 'live', embed: 'video', v: 'video', e: 'video' };
+
+// What a URL can point to
+const URL_KINDS = ['video', 'short', 'live', 'video-in-playlist', 'playlist', 'channel', 'unknown'];
+const SCOPES = ['video', 'playlist', 'channel'];
+
+// Channel tabs we list and download, and their path on YouTube (the live tab is /streams)
+const CHANNEL_TABS = { videos: 'videos', shorts: 'shorts', live: 'streams', playlists: 'playlists' };
+const DEFAULT_CHANNEL_TAB = 'videos';
+
+const isYouTubeHost = (hostname) => /(^|\.)(youtube\.com|youtube-nocookie\.com)$/.test(hostname);
+const isShortLinkHost = (hostname) => hostname === 'youtu.be' || hostname.endsWith('.youtu.be');
+
+const validVideoId = id => (id && VIDEO_ID_PATTERN.test(id) ? id : null);
+
+// Helper function to name the tab of a channel URL's path ("streams" is the live tab).
+// Other pages (home, community, ...) have no videos to list, so they count as no tab.
+const tabFromPath = segment => Object.keys(CHANNEL_TABS).find(tab => CHANNEL_TABS[tab] === segment) || null;
+
+// Helper function to read the channel a channel URL points to: /@handle, /channel/UC..., /c/name or /user/name.
+// url is the channel's canonical URL without a tab.
+const parseChannel = (segments) => {
+    if (segments[0] && segments[0].startsWith('@') && segments[0].length > 1) {
+        const handle = decodeURIComponent(segments[0]);
+        return { handle, url: `https://www.youtube.com/@${encodeURIComponent(handle.slice(1))}`, tab: tabFromPath(segments[1]) };
+    }
+    if (segments[0] === 'channel' && CHANNEL_ID_PATTERN.test(segments[1] || '')) {
+        return { id: segments[1], url: `https://www.youtube.com/channel/${segments[1]}`, tab: tabFromPath(segments[2]) };
+    }
+    if ((segments[0] === 'c' || segments[0] === 'user') && segments[1]) {
+        const name = decodeURIComponent(segments[1]);
+        return { name, url: `https://www.youtube.com/${segments[0]}/${encodeURIComponent(name)}`, tab: tabFromPath(segments[2]) };
+    }
+    return null;
+};
+
+// Helper function to turn a bare channel handle like "@name" into the channel's URL;
+// anything else is returned as it is, for validateUrl to check
+const expandHandle = (input) => {
+    const trimmed = typeof input === 'string' ? input.trim() : input;
+    return typeof trimmed === 'string' && HANDLE_PATTERN.test(trimmed)
+        ? `https://www.youtube.com/@${encodeURIComponent(trimmed.slice(1))}`
+        : input;
+};
+
+// Helper function to check the tab a request asks for (null when it names none)
+const parseChannelTab = (tab) => {
+    if (tab === undefined || tab === null) {
+        return null;
+    }
+    if (!Object.prototype.hasOwnProperty.call(CHANNEL_TABS, tab)) {
+        throw invalidInput(`tab must be one of: ${Object.keys(CHANNEL_TABS).join(', ')}`);
+    }
+    return tab;
+};
+
+// Mixes only exist next to the video they were generated for, so their URL keeps it
+const playlistUrlFor = ({ videoId, playlistId, isMix }) => (isMix && videoId
+    ? `https://www.youtube.com/watch?v=${videoId}&list=${playlistId}`
+    : `https://www.youtube.com/playlist?list=${playlistId}`);
+
+// Work out what a (validated) URL points to. Besides the kind, it returns the video and
+// playlist IDs it carries and canonical URLs for them, so a video opened from a playlist can
+// be fetched on its own or as the whole playlist. Sites other than YouTube are "unknown"
+// and left to yt-dlp.
+const classifyUrl = (url) => {
+    const parsed = new URL(url);
+    const hostname = parsed.hostname.toLowerCase();
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    const target = { kind: 'unknown', videoId: null, playlistId: null, channel: null, isMix: false };
+
+    if (!isShortLinkHost(hostname) && !isYouTubeHost(hostname)) {
+        return { ...target, videoUrl: null, playlistUrl: null };
+    }
+
+    let videoKind = 'video';
+    if (isShortLinkHost(hostname)) {
+        target.videoId = validVideoId(segments[0]);
+    } else if (segments[0] === 'watch') {
+        target.videoId = validVideoId(parsed.searchParams.get('v'));
+    } else if (VIDEO_PATH_KINDS[segments[0]] && validVideoId(segments[1])) {
+        target.videoId = segments[1];
+        videoKind = VIDEO_PATH_KINDS[segments[0]];
+    } else {
+        target.channel = parseChannel(segments);
+    }
+
+    const list = parsed.searchParams.get('list');
+    target.playlistId = list && PLAYLIST_ID_PATTERN.test(list) ? list : null;
+    // Mixes ("RD...") are generated for the video and have no end of their own
+    target.isMix = Boolean(target.playlistId && target.playlistId.startsWith('RD'));
+
+    if (target.videoId) {
+        target.kind = target.playlistId ? 'video-in-playlist' : videoKind;
+    } else if (target.playlistId) {
+        target.kind = 'playlist';
+    } else if (target.channel) {
+        target.kind = 'channel';
+    }
+
+    return {
+        ...target,
+        videoUrl: target.videoId ? `https://www.youtube.com/watch?v=${target.videoId}` : null,
+        playlistUrl: target.playlistId ? playlistUrlFor(target) : null
+    };
+};
+
+// Helper function to find the video ID in any of the ways a YouTube URL can carry it
+// (null for other sites or URLs without one)
+const extractVideoId = (url) => {
+    try {
+        return classifyUrl(url).videoId;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Helper function to find the playlist ID of a URL's list= parameter (null when there is none)
+const extractPlaylistId = (url) => {
+    try {
+        return classifyUrl(url).playlistId;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Decide whether a URL is fetched as one video, a whole playlist or a channel tab, and which
+// URL yt-dlp gets for that. scope ("video" or "playlist") is the user's choice for a video
+// opened from a playlist; without it a playlist URL means the playlist and everything else
+// one video. A channel is listed like a playlist of one of its tabs: tab, the tab in the URL,
+// or its videos.
+const resolveTarget = (url, scope, tab) => {
+    if (scope !== undefined && !SCOPES.includes(scope)) {
+        throw invalidInput(`scope must be one of: ${SCOPES.join(', ')}`);
+    }
+    const requestedTab = parseChannelTab(tab);
+
+    const target = classifyUrl(url);
+    if (target.kind === 'channel') {
+        if (scope === 'video') {
+            throw invalidInput('This is a channel URL. Download it as a playlist, or use the URL of one of its videos.');
+        }
+        const channelTab = requestedTab || target.channel.tab || DEFAULT_CHANNEL_TAB;
+        return {
+            ...target,
+            scope: 'channel',
+            scopes: ['channel'],
+            tab: channelTab,
+            url: `${target.channel.url}/${CHANNEL_TABS[channelTab]}`
+        };
+    }
+    if (requestedTab) {
+        throw invalidInput('tab can only be used with channel URLs');
+    }
+    if (scope === 'channel') {
+        throw invalidInput('This URL is not a channel');
+    }
+    if (target.kind === 'unknown') {
+        return { ...target, scope: scope || 'video', scopes: ['video', 'playlist'], url };
+    }
+
+    const resolvedScope = scope || (target.kind === 'playlist' ? 'playlist' : 'video');
+    if (resolvedScope === 'playlist' && !target.playlistUrl) {
+        throw invalidInput('This URL is not a playlist');
+    }
+    if (resolvedScope === 'video' && !target.videoUrl) {
+        throw invalidInput('This is a playlist URL. Download it as a playlist, or use the URL of one of its videos.');
+    }
+
+    return {
+        ...target,
+        scope: resolvedScope,
+        scopes: ['video', 'playlist'].filter(option => (option === 'video' ? target.videoUrl : target.playlistUrl)),
+        url: resolvedScope === 'playlist' ? target.playlistUrl : target.videoUrl
+    };
+};
+
+module.exports = {
+    URL_KINDS,
+    CHANNEL_TABS,
+    classifyUrl,
+    expandHandle,
+    extractVideoId,
+    extractPlaylistId,
+    resolveTarget
+};
@@ -0,0 +1,110 @@
+const { invalidInput } = require('./ytdlp');
+const formats = require('./formats');
+const chapters = require('./chapters');
+const subtitles = require('./subtitles');
+
+// Live states as yt-dlp reports them in live_status
+const LIVE_STATUSES = ['not_live', 'is_live', 'is_upcoming', 'was_live', 'post_live'];
+
+// Helper function to turn yt-dlp's YYYYMMDD dates into YYYY-MM-DD
+const formatDate = (date) => (/^\d{8}$/.test(date || '')
+    ? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`
+    : null);
+
+const orNull = value => (value === undefined ? null : value);
+
+// Helper function to read the live state, for extractors that only set is_live/was_live
+const liveStatus = (info) => {
+    if (LIVE_STATUSES.includes(info.live_status)) {
+        return info.live_status;
+    }
+    if (info.is_live) {
+        return 'is_live';
+    }
+    return info.was_live ? 'was_live' : 'not_live';
+};
+
+// Every thumbnail variant, largest first (yt-dlp lists them smallest first)
+const listThumbnails = info => (info.thumbnails || [])
+    .filter(thumbnail => thumbnail.url)
+    .map(thumbnail => ({
+        id: orNull(thumbnail.id),
+        url: thumbnail.url,
+        width: thumbnail.width || null,
+        height: thumbnail.height || null
+    }))
+    .reverse();
+
+// Helper function to list the resolutions a video comes in, highest first, e.g. ["1080p", "720p"]
+const listResolutions = availableFormats => [...new Set(availableFormats
+    .filter(format => format.hasVideo && format.height)
+    .map(format => format.height))]
+    .sort((a, b) => b - a)
+    .map(height => `${height}p`);
+
+// What /api/info returns for a video. Each entry builds one field from yt-dlp's JSON;
+// availableFormats is the video's formats as listFormats describes them.
+const FIELD_BUILDERS = {
+    id: info => orNull(info.id),
+    title: info => orNull(info.title),
+    description: info => orNull(info.description),
+    duration: info => orNull(info.duration),
+    uploadDate: info => formatDate(info.upload_date),
+    thumbnail: info => orNull(info.thumbnail),
+    thumbnails: listThumbnails,
+    uploader: info => orNull(info.uploader),
+    channel: info => ({
+        id: info.channel_id || null,
+        name: info.channel || info.uploader || null,
+        url: info.channel_url || info.uploader_url || null,
+        followers: orNull(info.channel_follower_count)
+    }),
+    view_count: info => orNull(info.view_count),
+    likeCount: info => orNull(info.like_count),
+    tags: info => info.tags || [],
+    categories: info => info.categories || [],
+    ageLimit: info => info.age_limit || 0,
+    liveStatus,
+    webpageUrl: info => orNull(info.webpage_url),
+    chapters: info => chapters.summarizeChapters(info.chapters),
+    subtitles: info => subtitles.listSubtitles(info),
+    resolutions: (info, availableFormats) => listResolutions(availableFormats),
+    // Quality options with their estimated download size (video plus best audio)
+    qualities: (info, availableFormats) => formats.listQualityOptions(availableFormats)
+        .map(({ quality, value, height, fps, hdr, estimatedSize }) => ({ quality, value, height, fps, hdr, estimatedSize }))
+};
+
+const VIDEO_FIELDS = Object.keys(FIELD_BUILDERS);
+
+// Helper function to read the fields option of an info request (null means every field).
+// Accepts a list or a comma-separated string, e.g. "title,duration,thumbnails".
+const parseFields = (fields) => {
+    if (fields === undefined || fields === null) {
+        return null;
+    }
+
+    const list = typeof fields === 'string' ? fields.split(',').map(field => field.trim()).filter(Boolean) : fields;
+    if (!Array.isArray(list) || list.length === 0 || list.some(field => typeof field !== 'string')) {
+        throw invalidInput('fields must be a non-empty list of field names');
+    }
+
+    const unknown = list.filter(field => !VIDEO_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw invalidInput(`Unknown field: ${unknown[0]}. Use any of: ${VIDEO_FIELDS.join(', ')}`);
+    }
+    return [...new Set(list)];
+};
+
+// Describe a video for the frontend, with only the requested fields (all of them by default)
+const describeVideo = (info, fields = null) => {
+    const availableFormats = formats.listFormats(info);
+    return Object.fromEntries((fields || VIDEO_FIELDS)
+        .map(field => [field, FIELD_BUILDERS[field](info, availableFormats)]));
+};
+
+module.exports = {
+    VIDEO_FIELDS,
+    listThumbnails,
+    parseFields,
+    describeVideo
+};
@@ -0,0 +1,134 @@
+const { spawn } = require('child_process');
+const { killProcessTree } = require('./processTree');
+
+const YT_DLP_PATH = process.env.YT_DLP_PATH || 'yt-dlp';
+
+// Hosts we accept URLs from; subdomains (www., m., music.) are allowed too
+const DEFAULT_ALLOWED_HOSTS = ['youtube.com', 'youtu.be', 'youtube-nocookie.com'];
+const ALLOWED_HOSTS = (process.env.ALLOWED_HOSTS
+    ? process.env.ALLOWED_HOSTS.split(',')
+    : DEFAULT_ALLOWED_HOSTS
+).map(host => host.trim().toLowerCase()).filter(Boolean);
+
+const MAX_URL_LENGTH = 2048;
+
+// Only keep the tail of stderr for error messages
+const MAX_STDERR_LENGTH = 64 * 1024;
+
+// Helper function to create an error that routes report as 400 Bad Request
+const invalidInput = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const isAllowedHost = (hostname) => ALLOWED_HOSTS.some(host =>
+    hostname === host || hostname.endsWith(`.${host}`)
+);
+
+// Helper function to check a user-supplied URL before it goes anywhere near yt-dlp
+const validateUrl = (url) => {
+    if (typeof url !== 'string' || url.trim() === '') {
+        throw invalidInput('URL is required');
+    }
+
+    const trimmed = url.trim();
+    if (trimmed.length > MAX_URL_LENGTH) {
+        throw invalidInput('URL is too long');
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(trimmed);
+    } catch (error) {
+        throw invalidInput('Invalid URL');
+    }
+
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw invalidInput('Only http and https URLs are supported');
+    }
+
+    if (parsed.username || parsed.password) {
+        throw invalidInput('URLs with credentials are not supported');
+    }
+
+    if (!isAllowedHost(parsed.hostname.toLowerCase())) {
+        throw invalidInput(`Unsupported site: ${parsed.hostname}`);
+    }
+
+    return parsed.toString();
+};
+
+// Spawn yt-dlp with an argument array - never through a shell, so nothing in the
+// arguments gets interpreted. Returns the child right away (for progress tracking
+// and cancelling) plus a promise for its exit. With streamOutput the caller reads
+// child.stdout itself (e.g. to pipe a download to a response).
+const runYtDlp = (args, { timeout = 0, collectOutput = false, streamOutput = false } = {}) => {
+    console.log(`Executing: ${YT_DLP_PATH} ${args.join(' ')}`);
+
+    const child = spawn(YT_DLP_PATH, args, { shell: false, windowsHide: true });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+
+    if (collectOutput) {
+        child.stdout.on('data', (chunk) => {
+            stdout += chunk.toString();
+        });
+    } else if (!streamOutput) {
+        // Keep the pipe flowing even when nobody else is reading it
+        child.stdout.resume();
+    }
+    child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk.toString()).slice(-MAX_STDERR_LENGTH);
+    });
+
+    const done = new Promise((resolve, reject) => {
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            killProcessTree(child.pid);
+        }, timeout) : null;
+
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT'
+                ? new Error('yt-dlp not found. Make sure it is installed and on the PATH.')
+                : error);
+        });
+
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+
+            if (code === 0) {
+                return resolve({ stdout, stderr });
+            }
+
+            // yt-dlp prints the reason on its last "ERROR:" line
+            const errorLine = stderr.split('\n').filter(line => line.startsWith('ERROR:')).pop();
+            const reason = timedOut
+                ? `yt-dlp timeout after ${Math.round(timeout / 1000)} seconds`
+                : errorLine || stderr.trim().split('\n').pop() || `yt-dlp exited with ${signal || `code ${code}`}`;
+
+            const error = new Error(reason);
+            error.code = code;
+            error.signal = signal;
+            error.timedOut = timedOut;
+            error.stdout = stdout;
+            error.stderr = stderr;
+            reject(error);
+        });
+    });
+
+    return { child, done };
+};
+
+// Helper function for one-shot commands whose output we need as a string
+const execYtDlp = (args, options = {}) => runYtDlp(args, { ...options, collectOutput: true }).done;
+
+module.exports = {
+    ALLOWED_HOSTS,
+    invalidInput,
+    validateUrl,
+    runYtDlp,
+    execYtDlp
+};
@@ -1,18 +1,33 @@
 const express = require('express');
 const cors = require('cors');
-const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const util = require('util');
-const execPromise = util.promisify(exec);
+const crypto = require('crypto');
+const jobs = require('./lib/jobs');
+const progress = require('./lib/progress');
+const { killProcessTree } = require('./lib/processTree');
+const scheduler = require('./lib/scheduler');
+const { openJobStore } = require('./lib/jobStore');
+const ytdlp = require('./lib/ytdlp');
+const formats = require('./lib/formats');
+const clips = require('./lib/clips');
+const chapters = require('./lib/chapters');
+const subtitles = require('./lib/subtitles');
+const playlistSelection = require('./lib/playlistSelection');
+const playlistResults = require('./lib/playlistResults');
+const archive = require('./lib/archive');
+const fileRegistry = require('./lib/files');
+const janitor = require('./lib/janitor');
+const dedupe = require('./lib/dedupe');
+const filenames = require('./lib/filenames');
+const infoCache = require('./lib/infoCache');
+const urls = require('./lib/urls');
+const videoInfo = require('./lib/videoInfo');
+const channels = require('./lib/channels');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Simple cache for video info to avoid re-analysis
-const videoInfoCache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-
 // Middleware - More permissive CORS for development and production
 app.use(cors({
   origin: [
@@ -33,9 +48,6 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files from downloads directory
-app.use('/downloads', express.static(path.join(__dirname, 'downloads')));
-
 // Use system Downloads directory
 const os = require('os');
 let downloadsDir;
@@ -63,18 +75,36 @@ if (!fs.existsSync(downloadsDir)) {
     fs.mkdirSync(downloadsDir, { recursive: true });
 }
 
-console.log(`📁 Downloads directory detected: ${downloadsDir}`);
-console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+// Server state (jobs, etc.) lives next to the downloads so it survives restarts with them
+const stateDir = path.join(downloadsDir, '.server-state');
 
-// Helper function to sanitize filename
-const sanitizeFilename = (filename) => {
-    return filename.replace(/[^\w\s.-]/gi, '').replace(/\s+/g, '_');
+// Video and playlist info from yt-dlp, keyed by ID so every URL form of a video shares one entry.
+// Pages of channel listings go into the playlist cache, keyed by the channel tab's URL.
+const videoInfoCache = infoCache.createInfoCache({ name: 'videos', dir: path.join(stateDir, 'info-cache', 'videos') });
+const playlistInfoCache = infoCache.createInfoCache({ name: 'playlists', dir: path.join(stateDir, 'info-cache', 'playlists') });
+const videoCacheKey = url => `video:${urls.extractVideoId(url) || url}`;
+const playlistCacheKey = url => `playlist:${urls.extractPlaylistId(url) || url}`;
+const channelPageCacheKey = (url, { page, pageSize }) => `channel:${url}:${page}:${pageSize}`;
+
+// Helper function to match every playlist cache entry of a URL: the playlist and the listings of
+// its first items, or for a channel the listings and pages of all its tabs
+const playlistCacheMatcher = (url) => {
+    const { channel } = urls.classifyUrl(url);
+    if (channel) {
+        const prefixes = [`playlist:${channel.url}/`, `channel:${channel.url}/`];
+        return key => prefixes.some(prefix => key.startsWith(prefix));
+    }
+    const playlistKey = playlistCacheKey(url);
+    return key => key === playlistKey || key.startsWith(`${playlistKey}:`);
 };
 
+console.log(`📁 Downloads directory detected: ${downloadsDir}`);
+console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
 // Helper function to check if yt-dlp is available
 const checkYtDlp = async () => {
     try {
-        const { stdout } = await execPromise('yt-dlp --version', { timeout: 10000 });
+        const { stdout } = await ytdlp.execYtDlp(['--version'], { timeout: 10000 });
         console.log(`✅ yt-dlp version: ${stdout.trim()}`);
         return true;
     } catch (error) {
@@ -90,75 +120,58 @@ checkYtDlp().then(available => {
     }
 });
 
-// Helper function to get video info using yt-dlp with better error handling
-const getVideoInfo = async (url) => {
+// Helper function to run yt-dlp for a video's full JSON
+const fetchVideoMetadata = async (url) => {
+    console.log(`Getting video info for: ${url}`);
+
+    // Use faster approach - get only basic info without full metadata
+    const { stdout, stderr } = await ytdlp.execYtDlp(
+        ['--dump-json', '--no-warnings', '--no-playlist', '--', ytdlp.validateUrl(url)],
+        { timeout: 30000 } // 30 second timeout for analysis
+    );
+    
+    if (stderr) {
+        console.error('yt-dlp stderr:', stderr);
+    }
+    
+    if (!stdout || stdout.trim() === '') {
+        throw new Error('No output from yt-dlp');
+    }
+    
+    // Handle multiple JSON objects (in case of playlists)
+    const lines = stdout.trim().split('\n').filter(line => line.trim());
+    let info;
+    
+    if (lines.length > 1) {
+        // Multiple JSON objects - take the first one (main video)
+        console.log(`Found ${lines.length} JSON objects, using the first one`);
+        info = JSON.parse(lines[0]);
+    } else {
+        // Single JSON object
+        info = JSON.parse(stdout.trim());
+    }
+    
+    if (!info.title) {
+        throw new Error('Invalid video info - no title found');
+    }
+    
+    console.log(`Successfully got video info: ${info.title}`);
+
+    return info;
+};
+
+// Helper function to get yt-dlp's full JSON for a video with better error handling
+const getVideoMetadata = async (url) => {
     try {
-        console.log(`Getting video info for: ${url}`);
-        
-        // Check cache first
-        const cacheKey = url;
-        const cachedInfo = videoInfoCache.get(cacheKey);
-        if (cachedInfo && (Date.now() - cachedInfo.timestamp) < CACHE_DURATION) {
-            console.log(`Using cached video info for: ${cachedInfo.data.title}`);
-            return cachedInfo.data;
-        }
-        
-        // Check if it's a playlist URL first
-        if (url.includes('playlist') || url.includes('list=')) {
-            throw new Error('This is a playlist URL. Please use the playlist download option instead.');
-        }
-        
-        // Use faster approach - get only basic info without full metadata
-        const command = `yt-dlp --dump-json --no-warnings --no-playlist "${url}"`;
-        console.log(`Executing command: ${command}`);
-        
-        const { stdout, stderr } = await execPromise(command, { 
-            maxBuffer: 1024 * 1024 * 10, // 10MB buffer for analysis
-            timeout: 30000 // 30 second timeout for analysis
-        });
-        
-        if (stderr) {
-            console.error('yt-dlp stderr:', stderr);
-        }
-        
-        if (!stdout || stdout.trim() === '') {
-            throw new Error('No output from yt-dlp');
-        }
-        
-        // Handle multiple JSON objects (in case of playlists)
-        const lines = stdout.trim().split('\n').filter(line => line.trim());
-        let info;
-        
-        if (lines.length > 1) {
-            // Multiple JSON objects - take the first one (main video)
-            console.log(`Found ${lines.length} JSON objects, using the first one`);
-            info = JSON.parse(lines[0]);
-        } else {
-            // Single JSON object
-            info = JSON.parse(stdout.trim());
-        }
-        
-        if (!info.title) {
-            throw new Error('Invalid video info - no title found');
+        // Playlist and channel URLs have no single video to describe
+        const validUrl = ytdlp.validateUrl(url);
+        const { kind } = urls.classifyUrl(validUrl);
+        if (kind === 'playlist' || kind === 'channel') {
+            throw ytdlp.invalidInput(`This is a ${kind} URL. Please select "Entire Playlist" as download type.`);
         }
-        
-        console.log(`Successfully got video info: ${info.title}`);
-        
-        const videoInfo = {
-            title: info.title,
-            duration: info.duration,
-            thumbnail: info.thumbnail,
-            uploader: info.uploader,
-            view_count: info.view_count
-        };
-        
-        // Cache the result
-        videoInfoCache.set(cacheKey, {
-            data: videoInfo,
-            timestamp: Date.now()
-        });
-        
-        return videoInfo;
+
+        // Served from the cache when any URL of the same video was looked up recently
+        return await videoInfoCache.getOrFetch(videoCacheKey(validUrl), () => fetchVideoMetadata(validUrl));
     } catch (error) {
         console.error('Error getting video info:', error);
         console.error('Error details:', {
@@ -168,10 +181,8 @@ const getVideoInfo = async (url) => {
         });
         
         // Provide more specific error messages
-        if (error.message.includes('playlist URL')) {
-            throw new Error('This is a playlist URL. Please select "Entire Playlist" as download type.');
-        } else if (error.message.includes('maxBuffer')) {
-            throw new Error('Video info too large. Try a different video or check if it\'s a very long video.');
+        if (error.statusCode) {
+            throw error;
         } else if (error.message.includes('No output from yt-dlp')) {
             throw new Error('yt-dlp failed to get video information. Please check if the URL is valid.');
         } else if (error.message.includes('Invalid video info')) {
@@ -186,59 +197,67 @@ const getVideoInfo = async (url) => {
     }
 };
 
+// Helper function to get the video info the frontend shows (fields limits it, see lib/videoInfo)
+const getVideoInfo = async (url, fields = null) => videoInfo.describeVideo(await getVideoMetadata(url), fields);
+
+// Helper function to run yt-dlp for a playlist's entries and title (only the first end entries when given)
+const fetchPlaylistInfo = async (url, { end = null } = {}) => {
+    console.log(`Getting playlist info for: ${url}`);
+    const validUrl = ytdlp.validateUrl(url);
+    
+    const { stdout, stderr } = await ytdlp.execYtDlp(
+        ['--dump-json', '--flat-playlist', ...(end ? ['--playlist-end', String(end)] : []), '--no-warnings', '--', validUrl],
+        { timeout: 30000 } // 30 second timeout for playlist analysis
+    );
+    
+    if (stderr) {
+        console.error('yt-dlp stderr:', stderr);
+    }
+    
+    if (!stdout || stdout.trim() === '') {
+        throw new Error('No output from yt-dlp for playlist');
+    }
+    
+    const lines = stdout.trim().split('\n').filter(line => line.trim());
+    
+    if (lines.length === 0) {
+        throw new Error('No playlist entries found');
+    }
+    
+    const entries = lines.map(line => {
+        try {
+            return JSON.parse(line);
+        } catch (parseError) {
+            console.error('Failed to parse playlist entry:', line);
+            return null;
+        }
+    }).filter(entry => entry !== null);
+    
+    if (entries.length === 0) {
+        throw new Error('No valid playlist entries found');
+    }
+    
+    // Get playlist title (from the first entry only, a channel can have thousands)
+    const { stdout: titleStdout } = await ytdlp.execYtDlp(
+        ['--get-filename', '-o', '%(playlist_title)s', '--flat-playlist', '--playlist-items', '1', '--no-warnings', '--', validUrl],
+        { timeout: 15000 } // 15 second timeout for title
+    );
+    const playlistTitle = titleStdout.trim().split('\n')[0];
+    
+    console.log(`Successfully got playlist info: ${playlistTitle} (${entries.length} videos)`);
+    
+    return {
+        title: playlistTitle || 'YouTube Playlist',
+        entries: entries
+    };
+};
+
 // Helper function to get playlist info using yt-dlp
-const getPlaylistInfo = async (url) => {
+const getPlaylistInfo = async (url, { end = null } = {}) => {
     try {
-        console.log(`Getting playlist info for: ${url}`);
-        const command = `yt-dlp --dump-json --flat-playlist --no-warnings "${url}"`;
-        console.log(`Executing command: ${command}`);
-        
-        const { stdout, stderr } = await execPromise(command, { 
-            maxBuffer: 1024 * 1024 * 20, // 20MB buffer for playlists
-            timeout: 30000 // 30 second timeout for playlist analysis
-        });
-        
-        if (stderr) {
-            console.error('yt-dlp stderr:', stderr);
-        }
-        
-        if (!stdout || stdout.trim() === '') {
-            throw new Error('No output from yt-dlp for playlist');
-        }
-        
-        const lines = stdout.trim().split('\n').filter(line => line.trim());
-        
-        if (lines.length === 0) {
-            throw new Error('No playlist entries found');
-        }
-        
-        const entries = lines.map(line => {
-            try {
-                return JSON.parse(line);
-            } catch (parseError) {
-                console.error('Failed to parse playlist entry:', line);
-                return null;
-            }
-        }).filter(entry => entry !== null);
-        
-        if (entries.length === 0) {
-            throw new Error('No valid playlist entries found');
-        }
-        
-        // Get playlist title with smaller buffer
-        const titleCommand = `yt-dlp --get-filename -o "%(playlist_title)s" --no-warnings "${url}"`;
-        const { stdout: titleStdout } = await execPromise(titleCommand, { 
-            maxBuffer: 1024 * 1024 * 2, // 2MB buffer for title
-            timeout: 15000 // 15 second timeout for title
-        });
-        const playlistTitle = titleStdout.trim().split('\n')[0];
-        
-        console.log(`Successfully got playlist info: ${playlistTitle} (${entries.length} videos)`);
-        
-        return {
-            title: playlistTitle || 'YouTube Playlist',
-            entries: entries
-        };
+        // Served from the cache when the same playlist was looked up recently
+        const cacheKey = `${playlistCacheKey(ytdlp.validateUrl(url))}${end ? `:1-${end}` : ''}`;
+        return await playlistInfoCache.getOrFetch(cacheKey, () => fetchPlaylistInfo(url, { end }));
     } catch (error) {
         console.error('Error getting playlist info:', error);
         console.error('Error details:', {
@@ -248,8 +267,8 @@ const getPlaylistInfo = async (url) => {
         });
         
         // Provide more specific error messages
-        if (error.message.includes('maxBuffer')) {
-            throw new Error('Playlist too large. Try a smaller playlist or individual videos.');
+        if (error.statusCode) {
+            throw error;
         } else if (error.message.includes('No output from yt-dlp')) {
             throw new Error('yt-dlp failed to get playlist information. Please check if the URL is valid.');
         } else if (error.message.includes('No playlist entries')) {
@@ -264,776 +283,1087 @@ const getPlaylistInfo = async (url) => {
     }
 };
 
-// Route to get video/playlist information
-app.post('/api/info', async (req, res) => {
-    try {
-        console.log('Received /api/info request with body:', req.body);
-        const { url } = req.body;
-        
-        if (!url) {
-            console.log('No URL provided in request');
-            return res.status(400).json({ error: 'URL is required' });
-        }
+// Helper function to run yt-dlp for one page of a channel tab, along with the channel's own info
+const fetchChannelPage = async (url, page) => {
+    console.log(`Getting channel page ${page.page} for: ${url}`);
 
-        console.log('Processing URL:', url);
+    const { stdout, stderr } = await ytdlp.execYtDlp(
+        ['-J', '--flat-playlist', ...channels.buildPageArgs(page), '--no-warnings', '--', ytdlp.validateUrl(url)],
+        { timeout: 60000 } // 60 second timeout, channel pages are slower than playlists
+    );
 
-        // Check if it's a playlist
-        if (url.includes('playlist') || url.includes('list=')) {
-            console.log('Detected playlist URL');
-            const playlistInfo = await getPlaylistInfo(url);
-            res.json({
-                type: 'playlist',
-                data: playlistInfo
-            });
+    if (stderr) {
+        console.error('yt-dlp stderr:', stderr);
+    }
+
+    if (!stdout || stdout.trim() === '') {
+        throw new Error('No output from yt-dlp for channel');
+    }
+
+    return JSON.parse(stdout.trim());
+};
+
+// Helper function to get one page of a channel tab's listing
+const getChannelInfo = async (url, tab, page) => {
+    try {
+        const info = await playlistInfoCache.getOrFetch(channelPageCacheKey(url, page), () => fetchChannelPage(url, page));
+        return channels.describeChannelPage(info, tab, page);
+    } catch (error) {
+        console.error('Error getting channel info:', error);
+
+        if (error.statusCode) {
+            throw error;
+        } else if (error.message.includes('JSON') || error.message.includes('No output from yt-dlp')) {
+            throw new Error('Could not read the channel. It might not exist or be unavailable.');
+        } else if (error.message.includes('timeout')) {
+            throw new Error('Request timed out. The channel might be too large or the server is busy.');
         } else {
-            console.log('Detected single video URL');
-            const videoInfo = await getVideoInfo(url);
-            res.json({
-                type: 'video',
-                data: videoInfo
-            });
+            throw new Error(`Failed to get channel info: ${error.message}`);
         }
-    } catch (error) {
-        console.error('Error in /api/info endpoint:', error);
-        console.error('Error stack:', error.stack);
-        res.status(500).json({ 
-            error: error.message,
-            details: 'Check server logs for more information'
-        });
     }
-});
+};
 
-// Route to get video/playlist information (frontend compatibility)
-app.post('/info', async (req, res) => {
+// Helper function to answer an info request for a video, playlist or channel
+const handleInfoRequest = async (req, res) => {
     try {
-        console.log('Received /info request with body:', req.body);
-        const { url } = req.body;
+        console.log(`Received ${req.path} request with body:`, req.body);
+        const { url, scope } = req.body;
+        const fields = videoInfo.parseFields(req.body.fields);
         
         if (!url) {
             console.log('No URL provided in request');
             return res.status(400).json({ error: 'URL is required' });
         }
 
-        console.log('Processing URL:', url);
+        const validUrl = ytdlp.validateUrl(urls.expandHandle(url));
+        console.log('Processing URL:', validUrl);
+
+        // A video opened from a playlist can be looked at on its own or as the whole playlist
+        const target = urls.resolveTarget(validUrl, scope, req.body.tab);
+        console.log(`Detected ${target.kind} URL, showing the ${target.scope}`);
+        const detected = {
+            kind: target.kind,
+            videoId: target.videoId,
+            playlistId: target.playlistId,
+            isMix: target.isMix,
+            scope: target.scope,
+            scopes: target.scopes
+        };
 
-        // Check if it's a playlist
-        if (url.includes('playlist') || url.includes('list=')) {
-            console.log('Detected playlist URL');
-            const playlistInfo = await getPlaylistInfo(url);
+        if (target.scope === 'channel') {
+            const page = channels.parsePage(req.body);
+            res.json({
+                type: 'channel',
+                ...detected,
+                tab: target.tab,
+                tabs: Object.keys(urls.CHANNEL_TABS),
+                data: await getChannelInfo(target.url, target.tab, page)
+            });
+        } else if (target.scope === 'playlist') {
             res.json({
                 type: 'playlist',
-                data: playlistInfo
+                ...detected,
+                data: await getPlaylistInfo(target.url)
             });
         } else {
-            console.log('Detected single video URL');
-            const videoInfo = await getVideoInfo(url);
             res.json({
                 type: 'video',
-                data: videoInfo
+                ...detected,
+                data: await getVideoInfo(target.url, fields)
             });
         }
     } catch (error) {
-        console.error('Error in /info endpoint:', error);
+        console.error(`Error in ${req.path} endpoint:`, error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Error stack:', error.stack);
         res.status(500).json({ 
             error: error.message,
             details: 'Check server logs for more information'
         });
     }
-});
+};
 
-// Route to download single video
-app.post('/api/download/video', async (req, res) => {
-    try {
-        const { url, quality = 'highest' } = req.body;
-        
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
-        }
+// Route to get video/playlist information
+app.post('/api/info', handleInfoRequest);
 
-        // Get video info first
-        const info = await getVideoInfo(url);
-        const sanitizedTitle = sanitizeFilename(info.title);
-        const filename = `${sanitizedTitle}.%(ext)s`;
-        const outputPath = path.join(downloadsDir, filename);
+// Route to get video/playlist information (frontend compatibility)
+app.post('/info', handleInfoRequest);
 
-        // Use ONLY combined formats or notify user about quality limitation
-        let formatSelector;
-        
-        // Optimized for speed: Use 720p as default for faster downloads
-        if (quality === '360p' || quality === '240p' || quality === '144p') {
-            // These have true combined formats - fastest
-            formatSelector = '18'; // 360p combined (best available combined)
-        } else if (quality === '4k') {
-            // More flexible 4K format selection
-            formatSelector = 'bestvideo[height<=2160][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=2160]+bestaudio/best[height<=2160]/best';
-        } else if (quality === '1440p') {
-            // More flexible 2K format selection
-            formatSelector = 'bestvideo[height<=1440][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=1440]+bestaudio/best[height<=1440]/best';
-        } else if (quality === '1080p') {
-            formatSelector = '137+140/248+140/399+140/bestvideo[height<=1080]+bestaudio';
-        } else if (quality === '720p') {
-            formatSelector = '136+140/247+140/398+140/bestvideo[height<=720]+bestaudio';
-        } else if (quality === '480p') {
-            formatSelector = '135+140/244+140/397+140/bestvideo[height<=480]+bestaudio';
-        } else if (quality === 'highest') {
-            // For fastest downloads, use 720p instead of highest
-            console.log('Using 720p for faster download instead of highest quality');
-            formatSelector = '136+140/247+140/398+140/bestvideo[height<=720]+bestaudio';
-        } else {
-            // Default: 720p for speed (was 360p)
-            formatSelector = '136+140/247+140/398+140/bestvideo[height<=720]+bestaudio';
-        }
+// Helper function to turn away new downloads while the queue is full
+const rejectQueueFull = (res) => {
+    res.set('Retry-After', String(scheduler.RETRY_AFTER_SECONDS));
+    return res.status(503).json({
+        error: 'Download queue is full. Please try again later.',
+        retryAfter: scheduler.RETRY_AFTER_SECONDS
+    });
+};
 
-        // Download using yt-dlp with proper merging and cleanup
-        const command = `yt-dlp -f "${formatSelector}" --merge-output-format mp4 --audio-multistreams --no-keep-video --embed-metadata --add-metadata -o "${outputPath}" --no-warnings "${url}"`;
-        
-        console.log(`Downloading with command: ${command}`);
-        
-        const childProcess = exec(command, { 
-            maxBuffer: 1024 * 1024 * 100 // 100MB buffer for downloads
-        }, (error, stdout, stderr) => {
-            if (error) {
-                console.error('Download error:', error);
-                if (!res.headersSent) {
-                    return res.status(500).json({ error: 'Download failed: ' + error.message });
-                }
-                return;
-            }
-            
-            // Clean up any temporary files
-            const cleanupTempFiles = () => {
-                try {
-                    const allFiles = fs.readdirSync(downloadsDir);
-                    const tempFiles = allFiles.filter(file => 
-                        file.includes(sanitizedTitle) && (
-                            file.includes('.temp') || 
-                            file.includes('.part') || 
-                            file.includes('.webm') ||
-                            file.includes('.m4a') ||
-                            file.includes('.f140') ||
-                            file.includes('.f313') ||
-                            file.includes('.f401') ||
-                            file.includes('.f137') ||
-                            file.includes('.f136') ||
-                            file.includes('.f135') ||
-                            file.includes('.f244') ||
-                            file.includes('.f247') ||
-                            file.includes('.f248') ||
-                            file.includes('.f271') ||
-                            file.includes('.f398') ||
-                            file.includes('.f399') ||
-                            file.includes('.f400') ||
-                            (file.includes('.mp4') && !file.endsWith('.mp4')) // Remove partial MP4 files
-                        )
-                    );
-                    
-                    tempFiles.forEach(tempFile => {
-                        try {
-                            fs.unlinkSync(path.join(downloadsDir, tempFile));
-                            console.log(`Cleaned up temp file: ${tempFile}`);
-                        } catch (cleanupError) {
-                            console.log(`Could not clean up ${tempFile}:`, cleanupError.message);
-                        }
-                    });
-                } catch (cleanupError) {
-                    console.log('Cleanup error:', cleanupError.message);
-                }
-            };
-            
-            // Run cleanup multiple times to ensure all files are removed
-            setTimeout(cleanupTempFiles, 3000);
-            setTimeout(cleanupTempFiles, 5000);
-            setTimeout(cleanupTempFiles, 8000);
-            
-            // Final cleanup - remove ALL files except the final MP4
-            setTimeout(() => {
-                try {
-                    const allFiles = fs.readdirSync(downloadsDir);
-                    const finalMP4Files = allFiles.filter(file => 
-                        file.startsWith(sanitizedTitle) && file.endsWith('.mp4')
-                    );
-                    
-                    // If we have multiple MP4 files, keep only the largest one (the merged file)
-                    if (finalMP4Files.length > 1) {
-                        const fileStats = finalMP4Files.map(file => ({
-                            name: file,
-                            size: fs.statSync(path.join(downloadsDir, file)).size
-                        }));
-                        
-                        // Sort by size (largest first) and remove smaller files
-                        fileStats.sort((a, b) => b.size - a.size);
-                        
-                        // Remove all except the largest file
-                        fileStats.slice(1).forEach(file => {
-                            try {
-                                fs.unlinkSync(path.join(downloadsDir, file.name));
-                                console.log(`Removed smaller MP4 file: ${file.name}`);
-                            } catch (error) {
-                                console.log(`Could not remove ${file.name}:`, error.message);
-                            }
-                        });
-                    }
-                    
-                    // Remove any remaining non-MP4 files
-                    const remainingFiles = allFiles.filter(file => 
-                        file.includes(sanitizedTitle) && !file.endsWith('.mp4')
-                    );
-                    
-                    remainingFiles.forEach(file => {
-                        try {
-                            fs.unlinkSync(path.join(downloadsDir, file));
-                            console.log(`Final cleanup removed: ${file}`);
-                        } catch (error) {
-                            console.log(`Could not remove ${file}:`, error.message);
-                        }
-                    });
-                } catch (error) {
-                    console.log('Final cleanup error:', error.message);
-                }
-            }, 10000); // Wait 10 seconds for all merging to complete
-            
-            // Find the final MP4 file
-            const files = fs.readdirSync(downloadsDir).filter(file => 
-                file.startsWith(sanitizedTitle) && file.endsWith('.mp4')
-            );
-            
-            if (files.length > 0) {
-                if (!res.headersSent) {
-                    res.json({
-                        success: true,
-                        filename: files[0],
-                        downloadUrl: `/downloads/${files[0]}`,
-                        message: `Successfully downloaded: ${files[0]}`
-                    });
-                }
-            } else {
-                if (!res.headersSent) {
-                    res.status(500).json({ error: 'Download completed but MP4 file not found' });
-                }
-            }
-        });
-        
-        // Handle process timeout
-        setTimeout(() => {
-            if (childProcess.killed === false) {
-                childProcess.kill();
-                if (!res.headersSent) {
-                    res.status(500).json({ error: 'Download timeout after 10 minutes' });
-                }
-            }
-        }, 600000); // 10 minutes timeout
+// Helper function to turn away work that needs a download slot right away while all are busy
+const rejectNoFreeSlot = (res) => {
+    res.set('Retry-After', String(scheduler.RETRY_AFTER_SECONDS));
+    return res.status(503).json({
+        error: 'All download slots are busy. Please try again later.',
+        retryAfter: scheduler.RETRY_AFTER_SECONDS
+    });
+};
 
-    } catch (error) {
-        console.error('Error downloading video:', error);
-        res.status(500).json({ error: error.message });
+// Helper function to check a download request before anything is queued or spawned.
+// Only the request itself is checked here; checkAgainstVideo does what needs yt-dlp.
+const parseDownloadRequest = ({ url, type = 'video', ...options }) => {
+    if (!Object.prototype.hasOwnProperty.call(downloadHandlers, type)) {
+        throw ytdlp.invalidInput(`Unsupported download type: ${type}`);
     }
-});
 
-// Unified download endpoint that handles all types
-app.post('/api/download', async (req, res) => {
-    try {
-        const { url, type = 'video', quality = 'highest' } = req.body;
-        
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
-        }
+    // The type decides between "this video only" and "whole playlist" for a video opened from a
+    // playlist; yt-dlp gets the canonical URL for that, without the other one's parameters.
+    // Channels download one of their tabs as a playlist.
+    const target = urls.resolveTarget(
+        ytdlp.validateUrl(urls.expandHandle(url)),
+        type === 'playlist' ? 'playlist' : 'video',
+        options.tab
+    );
+    if (target.tab === 'playlists') {
+        throw ytdlp.invalidInput('A channel\'s playlists tab cannot be downloaded. Download one of its playlists instead.');
+    }
+    const validUrl = target.url;
+
+    formats.parseFormatPreferences(options);
 
-        // Route to appropriate download handler based on type
+    if (options.audioOnly !== undefined && typeof options.audioOnly !== 'boolean') {
+        throw ytdlp.invalidInput('audioOnly must be true or false');
+    }
+    if (type === 'audio' || (type === 'playlist' && options.audioOnly)) {
+        formats.parseAudioPreferences(options);
+    }
+
+    if (clips.parseClipRange(options) && type === 'playlist') {
+        throw ytdlp.invalidInput('start and end can only be used for single video or audio downloads');
+    }
+    if (chapters.parseSplitChapters(options)) {
         if (type === 'playlist') {
-            return handlePlaylistDownload(req, res);
-        } else if (type === 'audio') {
-            return handleAudioDownload(req, res);
-        } else {
-            return handleVideoDownload(req, res);
+            throw ytdlp.invalidInput('splitChapters can only be used for single video or audio downloads');
+        }
+        if (clips.parseClipRange(options)) {
+            throw ytdlp.invalidInput('splitChapters cannot be combined with start and end');
         }
+    }
 
-    } catch (error) {
-        console.error('Error in unified download:', error);
-        res.status(500).json({ error: error.message });
+    if (playlistSelection.parsePlaylistSelection(options) && type !== 'playlist') {
+        throw ytdlp.invalidInput('items, videoIds and filters can only be used for playlist downloads');
     }
-});
 
-// Unified download endpoint for frontend compatibility
-app.post('/download', async (req, res) => {
-    try {
-        const { url, type = 'video', quality = 'highest' } = req.body;
-        
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
+    // Video downloads embed subtitles, playlists write them next to each item
+    const subtitlePreferences = subtitles.parseSubtitlePreferences(options.subtitles);
+    if (subtitlePreferences) {
+        if (type === 'audio' || options.audioOnly) {
+            throw ytdlp.invalidInput('Subtitles can only be added to video downloads');
         }
-
-        // Route to appropriate download handler based on type
-        if (type === 'playlist') {
-            return handlePlaylistDownload(req, res);
-        } else if (type === 'audio') {
-            return handleAudioDownload(req, res);
-        } else {
-            return handleVideoDownload(req, res);
+        if (type === 'video') {
+            subtitles.checkEmbeddable(formats.parseFormatPreferences(options).container);
         }
+    }
 
-    } catch (error) {
-        console.error('Error in unified download:', error);
-        res.status(500).json({ error: error.message });
+    if (formats.parseFormatIds(options) && type !== 'video') {
+        throw ytdlp.invalidInput('Format IDs can only be chosen for single video downloads');
+    }
+
+    if (options.outputTemplate !== undefined) {
+        filenames.parseOutputTemplate(options.outputTemplate);
     }
-});
 
-// Helper function for video downloads
-async function handleVideoDownload(req, res) {
     try {
-        const { url, quality = 'highest' } = req.body;
-        
-        // Get video info first
-        const info = await getVideoInfo(url);
-        const sanitizedTitle = sanitizeFilename(info.title);
-        const filename = `${sanitizedTitle}.%(ext)s`;
-        const outputPath = path.join(downloadsDir, filename);
-
-        // Use ONLY combined formats or notify user about quality limitation
-        let formatSelector;
-        
-        // Optimized for speed: Use 720p as default for faster downloads
-        if (quality === '360p' || quality === '240p' || quality === '144p') {
-            // These have true combined formats - fastest
-            formatSelector = '18'; // 360p combined (best available combined)
-        } else if (quality === '4k') {
-            // More flexible 4K format selection
-            formatSelector = 'bestvideo[height<=2160][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=2160]+bestaudio/best[height<=2160]/best';
-        } else if (quality === '1440p') {
-            // More flexible 2K format selection
-            formatSelector = 'bestvideo[height<=1440][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=1440]+bestaudio/best[height<=1440]/best';
-        } else if (quality === '1080p') {
-            formatSelector = '137+140/248+140/399+140/bestvideo[height<=1080]+bestaudio';
-        } else if (quality === '720p') {
-            formatSelector = '136+140/247+140/398+140/bestvideo[height<=720]+bestaudio';
-        } else if (quality === '480p') {
-            formatSelector = '135+140/244+140/397+140/bestvideo[height<=480]+bestaudio';
-        } else if (quality === 'highest') {
-            // For fastest downloads, use 720p instead of highest
-            console.log('Using 720p for faster download instead of highest quality');
-            formatSelector = '136+140/247+140/398+140/bestvideo[height<=720]+bestaudio';
-        } else {
-            // Default: 720p for speed (was 360p)
-            formatSelector = '136+140/247+140/398+140/bestvideo[height<=720]+bestaudio';
-        }
+        scheduler.parsePriority(options.priority);
+    } catch (error) {
+        throw ytdlp.invalidInput(error.message);
+    }
 
-        // Download using yt-dlp with proper merging and cleanup
-        const command = `yt-dlp -f "${formatSelector}" --merge-output-format mp4 --audio-multistreams --no-keep-video --embed-metadata --add-metadata -o "${outputPath}" --no-warnings "${url}"`;
-        
-        console.log(`Downloading with command: ${command}`);
-        
-        const childProcess = exec(command, { maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
-            if (error) {
-                console.error('Download error:', error);
-                if (!res.headersSent) {
-                return res.status(500).json({ error: 'Download failed: ' + error.message });
-                }
-                return;
-            }
-            
-            // Clean up any temporary files
-            const cleanupTempFiles = () => {
-                try {
-                    const allFiles = fs.readdirSync(downloadsDir);
-                    const tempFiles = allFiles.filter(file => 
-                        file.includes(sanitizedTitle) && (
-                            file.includes('.temp') || 
-                            file.includes('.part') || 
-                            file.includes('.webm') ||
-                            file.includes('.m4a') ||
-                            file.includes('.f140') ||
-                            file.includes('.f313') ||
-                            file.includes('.f401') ||
-                            file.includes('.f137') ||
-                            file.includes('.f136') ||
-                            file.includes('.f135') ||
-                            file.includes('.f244') ||
-                            file.includes('.f247') ||
-                            file.includes('.f248') ||
-                            file.includes('.f271') ||
-                            file.includes('.f398') ||
-                            file.includes('.f399') ||
-                            file.includes('.f400') ||
-                            (file.includes('.mp4') && !file.endsWith('.mp4')) // Remove partial MP4 files
-                        )
-                    );
-                    
-                    tempFiles.forEach(tempFile => {
-                        try {
-                            fs.unlinkSync(path.join(downloadsDir, tempFile));
-                            console.log(`Cleaned up temp file: ${tempFile}`);
-                        } catch (cleanupError) {
-                            console.log(`Could not clean up ${tempFile}:`, cleanupError.message);
-                        }
-                    });
-                } catch (cleanupError) {
-                    console.log('Cleanup error:', cleanupError.message);
-                }
-            };
-            
-            // Run cleanup multiple times to ensure all files are removed
-            setTimeout(cleanupTempFiles, 3000);
-            setTimeout(cleanupTempFiles, 5000);
-            setTimeout(cleanupTempFiles, 8000);
-            
-            // Final cleanup - remove ALL files except the final MP4
-            setTimeout(() => {
-                try {
-                    const allFiles = fs.readdirSync(downloadsDir);
-                    const finalMP4Files = allFiles.filter(file => 
-                        file.startsWith(sanitizedTitle) && file.endsWith('.mp4')
-                    );
-                    
-                    // If we have multiple MP4 files, keep only the largest one (the merged file)
-                    if (finalMP4Files.length > 1) {
-                        const fileStats = finalMP4Files.map(file => ({
-                            name: file,
-                            size: fs.statSync(path.join(downloadsDir, file)).size
-                        }));
-                        
-                        // Sort by size (largest first) and remove smaller files
-                        fileStats.sort((a, b) => b.size - a.size);
-                        
-                        // Remove all except the largest file
-                        fileStats.slice(1).forEach(file => {
-                            try {
-                                fs.unlinkSync(path.join(downloadsDir, file.name));
-                                console.log(`Removed smaller MP4 file: ${file.name}`);
-                            } catch (error) {
-                                console.log(`Could not remove ${file.name}:`, error.message);
-                            }
-                        });
-                    }
-                    
-                    // Remove any remaining non-MP4 files
-                    const remainingFiles = allFiles.filter(file => 
-                        file.includes(sanitizedTitle) && !file.endsWith('.mp4')
-                    );
-                    
-                    remainingFiles.forEach(file => {
-                        try {
-                            fs.unlinkSync(path.join(downloadsDir, file));
-                            console.log(`Final cleanup removed: ${file}`);
-                        } catch (error) {
-                            console.log(`Could not remove ${file}:`, error.message);
-                        }
-                    });
-                } catch (error) {
-                    console.log('Final cleanup error:', error.message);
-                }
-            }, 10000); // Wait 10 seconds for all merging to complete
-            
-            // Find the final MP4 file
-            const files = fs.readdirSync(downloadsDir).filter(file => 
-                file.startsWith(sanitizedTitle) && file.endsWith('.mp4')
-            );
-            
-            if (files.length > 0) {
-                if (!res.headersSent) {
-                res.json({
-                    success: true,
-                    filename: files[0],
-                    downloadUrl: `/downloads/${files[0]}`,
-                    message: `Successfully downloaded: ${files[0]}`
-                });
-                }
-            } else {
-                if (!res.headersSent) {
-                res.status(500).json({ error: 'Download completed but MP4 file not found' });
-                }
-            }
-        });
-        
-        // Handle process timeout
-        setTimeout(() => {
-            if (childProcess.killed === false) {
-                childProcess.kill();
-                if (!res.headersSent) {
-                res.status(500).json({ error: 'Download timeout after 10 minutes' });
-                }
-            }
-        }, 600000); // 10 minutes timeout
+    // Single downloads are keyed by what they produce, so identical requests can share one
+    const dedupeKey = type === 'playlist' ? null : dedupe.downloadKey(type, options, target.videoId || validUrl);
 
-    } catch (error) {
-        console.error('Error downloading video:', error);
-        res.status(500).json({ error: error.message });
+    return { type, url: validUrl, options, dedupeKey };
+};
+
+// Helper function for the checks that need the video's info: clips have to fit inside the video,
+// splitting needs chapters, and subtitles and explicit format IDs have to exist. Requests that use
+// none of these don't run yt-dlp before they are queued.
+const checkAgainstVideo = async ({ type, url, options }) => {
+    if (type === 'playlist') {
+        return;
     }
-}
 
-// Helper function for audio downloads
-async function handleAudioDownload(req, res) {
-    try {
-        const { url } = req.body;
-        
-        // Get video info first
-        const info = await getVideoInfo(url);
-        const sanitizedTitle = sanitizeFilename(info.title);
-        const filename = `${sanitizedTitle}.%(ext)s`;
-        const outputPath = path.join(downloadsDir, filename);
-
-        // Download audio using yt-dlp
-        const command = `yt-dlp -f "bestaudio" --extract-audio --audio-format mp3 --audio-quality 0 -o "${outputPath}" --no-warnings "${url}"`;
-        
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                console.error('Audio download error:', error);
-                if (!res.headersSent) {
-                    return res.status(500).json({ error: 'Audio download failed' });
-                }
-                return;
-            }
-            
-            // Find the actual downloaded file
-            const files = fs.readdirSync(downloadsDir).filter(file => 
-                file.startsWith(sanitizedTitle) && file.endsWith('.mp3')
-            );
-            
-            if (files.length > 0) {
-                if (!res.headersSent) {
-                    res.json({
-                        success: true,
-                        filename: files[0],
-                        downloadUrl: `/downloads/${files[0]}`
-                    });
-                }
-            } else {
-                if (!res.headersSent) {
-                    res.status(500).json({ error: 'Audio download completed but file not found' });
-                }
-            }
-        });
+    if (clips.parseClipRange(options)) {
+        clips.parseClipRange(options, (await getVideoInfo(url, ['duration'])).duration);
+    }
+    if (chapters.parseSplitChapters(options)) {
+        chapters.parseSplitChapters(options, await getVideoInfo(url, ['chapters']));
+    }
 
-    } catch (error) {
-        console.error('Error downloading audio:', error);
-        res.status(500).json({ error: error.message });
+    const subtitlePreferences = subtitles.parseSubtitlePreferences(options.subtitles);
+    if (subtitlePreferences && type === 'video') {
+        subtitles.checkSubtitlesAvailable(subtitlePreferences, await getVideoMetadata(url));
     }
-}
+    if (formats.parseFormatIds(options)) {
+        formats.chooseFormats(options, await getVideoMetadata(url));
+    }
+};
 
-// Helper function for playlist downloads
-async function handlePlaylistDownload(req, res) {
-    try {
-        const { url, quality = 'highest' } = req.body;
-        
-        // Get playlist info first
-        const playlistInfo = await getPlaylistInfo(url);
-        const sanitizedTitle = sanitizeFilename(playlistInfo.title);
-        const playlistDir = path.join(downloadsDir, sanitizedTitle);
-        
-        if (!fs.existsSync(playlistDir)) {
-            fs.mkdirSync(playlistDir, { recursive: true });
-        }
+// Helper function to create a download job and put it in the queue
+const queueDownload = ({ type, url, options, dedupeKey }) => {
+    const priority = scheduler.parsePriority(options.priority);
+    const job = jobs.createJob({ type, url, options, priority, dedupeKey });
+    console.log(`Created ${type} download job ${job.id} for: ${url}`);
 
-        // Determine quality format - use same system as single videos
-        let formatSelector;
-        
-        // Optimized for speed: Use 720p as default for faster downloads
-        if (quality === '360p' || quality === '240p' || quality === '144p') {
-            // These have true combined formats - fastest
-            formatSelector = '18'; // 360p combined (best available combined)
-        } else if (quality === '4k') {
-            // More flexible 4K format selection
-            formatSelector = 'bestvideo[height<=2160][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=2160]+bestaudio/best[height<=2160]/best';
-        } else if (quality === '1440p') {
-            // More flexible 2K format selection
-            formatSelector = 'bestvideo[height<=1440][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=1440]+bestaudio/best[height<=1440]/best';
-        } else if (quality === '1080p') {
-            formatSelector = '137+140/248+140/399+140/bestvideo[height<=1080]+bestaudio';
-        } else if (quality === '720p') {
-            formatSelector = '136+140/247+140/398+140/bestvideo[height<=720]+bestaudio';
-        } else if (quality === '480p') {
-            formatSelector = '135+140/244+140/397+140/bestvideo[height<=480]+bestaudio';
-        } else if (quality === 'highest') {
-            // For fastest downloads, use 720p instead of highest
-            console.log('Using 720p for faster download instead of highest quality');
-            formatSelector = '136+140/247+140/398+140/bestvideo[height<=720]+bestaudio';
-        } else {
-            // Default: 720p for speed (was 360p)
-            formatSelector = '136+140/247+140/398+140/bestvideo[height<=720]+bestaudio';
-        }
+    // Route to appropriate download handler based on type
+    return scheduler.enqueue(job, downloadHandlers[type]);
+};
 
-        // Enhanced playlist download with progress tracking and better cleanup
-        const outputPath = path.join(playlistDir, '%(title)s.%(ext)s');
-        const command = `yt-dlp -f "${formatSelector}" --merge-output-format mp4 --audio-multistreams --no-keep-video --embed-metadata --add-metadata --newline --progress-template "download:%(progress.downloaded_bytes)s/%(progress.total_bytes)s" -o "${outputPath}" --no-warnings "${url}"`;
-        
-        console.log(`Downloading playlist with command: ${command}`);
-        console.log(`Playlist: ${playlistInfo.title} (${playlistInfo.entries.length} videos) in ${quality} quality`);
-        
-        const childProcess = exec(command, { 
-            maxBuffer: 1024 * 1024 * 200 // 200MB buffer for playlist downloads
-        }, (error, stdout, stderr) => {
-            if (error) {
-                console.error('Playlist download error:', error);
-                if (!res.headersSent) {
-                    return res.status(500).json({ error: 'Playlist download failed: ' + error.message });
-                }
-                return;
-            }
-            
-            // Clean up temporary files after download
-            setTimeout(() => {
-                try {
-                    const allFiles = fs.readdirSync(playlistDir);
-                    const tempFiles = allFiles.filter(file => 
-                        file.includes('.temp') || file.includes('.part') || 
-                        (file.includes('.webm') && !file.endsWith('.mp4')) ||
-                        (file.includes('.m4a') && !file.endsWith('.mp4'))
-                    );
-                    
-                    tempFiles.forEach(tempFile => {
-                        try {
-                            fs.unlinkSync(path.join(playlistDir, tempFile));
-                            console.log(`Cleaned up temp file: ${tempFile}`);
-                        } catch (cleanupError) {
-                            console.log(`Could not clean up ${tempFile}:`, cleanupError.message);
-                        }
-                    });
-                } catch (cleanupError) {
-                    console.log('Cleanup error:', cleanupError.message);
-                }
-            }, 5000); // Wait 5 seconds for merging to complete
-            
-            // Count downloaded files (only MP4 files)
-            const downloadedFiles = fs.readdirSync(playlistDir).filter(file => file.endsWith('.mp4'));
-            
-            if (!res.headersSent) {
-                res.json({
-                    success: true,
-                    message: `Playlist download completed! Downloaded ${downloadedFiles.length} videos.`,
-                    folder: sanitizedTitle,
-                    totalVideos: playlistInfo.entries.length,
-                    downloadedVideos: downloadedFiles.length,
-                    folderPath: playlistDir
-                });
-            }
-        });
-        
-        // Handle process timeout (30 minutes for playlists)
-        setTimeout(() => {
-            if (childProcess.killed === false) {
-                childProcess.kill();
-                if (!res.headersSent) {
-                    res.status(500).json({ error: 'Playlist download timeout after 30 minutes' });
-                }
-            }
-        }, 1800000); // 30 minutes timeout
+// Helper function to find an identical download to reuse instead of running yt-dlp again:
+// the job that is still downloading it, the job that finished it, or a new job finished
+// right away with the retained file. Returns null when there is nothing to reuse.
+// It stays synchronous so two identical requests can't both miss each other and queue twice.
+const reuseDownload = ({ type, url, options, dedupeKey }) => {
+    const duplicate = dedupeKey && dedupe.findDuplicate(dedupeKey);
+    if (!duplicate) {
+        return null;
+    }
+    if (duplicate.job) {
+        console.log(`Reusing ${duplicate.job.state} download job ${duplicate.job.id} for: ${url}`);
+        return duplicate.job;
+    }
 
-    } catch (error) {
-        console.error('Error downloading playlist:', error);
-        res.status(500).json({ error: error.message });
+    const { file } = duplicate;
+    const filename = path.basename(file.path);
+    const job = jobs.createJob({ type, url, options, priority: scheduler.parsePriority(options.priority), dedupeKey });
+    console.log(`Reusing retained file ${file.id} for download job ${job.id}`);
+
+    const result = {
+        success: true,
+        filename,
+        fileId: file.id,
+        downloadUrl: fileRegistry.fileUrl(file),
+        message: `Already downloaded: ${filename}`,
+        reused: true
+    };
+    return jobs.updateJob(job.id, {
+        state: 'done',
+        startedAt: job.createdAt,
+        filename,
+        downloadUrl: result.downloadUrl,
+        result
+    });
+};
+
+// Helper function to attach a request to an identical download or queue a new one. The checks that
+// need yt-dlp only run once the queue has room, and the duplicate check is repeated after them
+// (synchronously with queueing), so identical requests still can't both queue.
+// Returns { job, deduplicated }, or { queueFull: true } when there is no room.
+const startDownload = async (request) => {
+    const duplicate = reuseDownload(request);
+    if (duplicate) {
+        return { job: duplicate, deduplicated: true };
+    }
+    if (scheduler.isFull()) {
+        return { queueFull: true };
     }
-}
 
-// Route to download playlist
-app.post('/api/download/playlist', async (req, res) => {
-    try {
-        const { url, quality = 'best' } = req.body;
-        
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
-        }
+    await checkAgainstVideo(request);
 
-        // Get playlist info first
-        const playlistInfo = await getPlaylistInfo(url);
-        const sanitizedTitle = sanitizeFilename(playlistInfo.title);
-        const playlistDir = path.join(downloadsDir, sanitizedTitle);
-        
-        if (!fs.existsSync(playlistDir)) {
-            fs.mkdirSync(playlistDir, { recursive: true });
+    const lateDuplicate = reuseDownload(request);
+    if (lateDuplicate) {
+        return { job: lateDuplicate, deduplicated: true };
+    }
+    if (scheduler.isFull()) {
+        return { queueFull: true };
+    }
+    return { job: queueDownload(request), deduplicated: false };
+};
+
+// Start a download job in the background and return its id right away
+const handleUnifiedDownload = async (req, res) => {
+    try {
+        const { job, deduplicated, queueFull } = await startDownload(parseDownloadRequest(req.body));
+        if (queueFull) {
+            return rejectQueueFull(res);
         }
 
-        // Determine quality format - support up to 4K with proper video+audio merging
-        let formatSelector = 'best[ext=mp4]/best';
-        if (quality === '4k') formatSelector = 'bestvideo[height<=2160][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=2160]+bestaudio/best[height<=2160]';
-        else if (quality === '1440p') formatSelector = 'bestvideo[height<=1440][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=1440]+bestaudio/best[height<=1440]';
-        else if (quality === '1080p') formatSelector = 'bestvideo[height<=1080][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=1080]+bestaudio/best[height<=1080]';
-        else if (quality === '720p') formatSelector = 'bestvideo[height<=720][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=720]+bestaudio/best[height<=720]';
-        else if (quality === '480p') formatSelector = 'bestvideo[height<=480][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=480]+bestaudio/best[height<=480]';
-        else if (quality === '360p') formatSelector = 'bestvideo[height<=360][ext=mp4]+bestaudio[ext=m4a]/bestvideo[height<=360]+bestaudio/best[height<=360]';
-        else if (quality === 'highest') formatSelector = 'bestvideo[ext=mp4]+bestaudio[ext=m4a]/bestvideo+bestaudio/best';
-
-        // Download playlist using yt-dlp with forced merging
-        const outputPath = path.join(playlistDir, '%(title)s.%(ext)s');
-        const command = `yt-dlp -f "${formatSelector}" --merge-output-format mp4 -o "${outputPath}" --no-warnings "${url}"`;
-        
-        console.log(`Downloading playlist with command: ${command}`);
-        
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                console.error('Playlist download error:', error);
-                if (!res.headersSent) {
-                return res.status(500).json({ error: 'Playlist download failed' });
-                }
-                return;
-            }
-            
-            if (!res.headersSent) {
-            res.json({
-                success: true,
-                message: 'Playlist download completed',
-                folder: sanitizedTitle
-            });
-            }
+        res.status(jobs.isFinished(job) ? 200 : 202).json({
+            success: true,
+            jobId: job.id,
+            statusUrl: `/api/jobs/${job.id}`,
+            deduplicated,
+            accessToken: job.accessToken,
+            job: jobs.serializeJob(job)
         });
 
     } catch (error) {
-        console.error('Error downloading playlist:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error in unified download:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
-});
+};
 
-// Route to download audio only
-app.post('/api/download/audio', async (req, res) => {
+// Unified download endpoint that handles all types
+app.post('/api/download', handleUnifiedDownload);
+
+// Unified download endpoint for frontend compatibility
+app.post('/download', handleUnifiedDownload);
+
+// Helper function to check a request carries the admin token (never true while ADMIN_TOKEN is unset)
+const isAdmin = (req) => {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) {
+        return false;
+    }
+
+    const given = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Admin routes need ADMIN_TOKEN as a bearer token; without ADMIN_TOKEN they are disabled
+const requireAdmin = (req, res, next) => {
+    if (!process.env.ADMIN_TOKEN) {
+        return res.status(404).json({ error: 'Admin endpoints are disabled (set ADMIN_TOKEN)' });
+    }
+    if (!isAdmin(req)) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+};
+
+// While links have to be signed, listing every job is for the admin only:
+// the links in other people's results would get around the signing
+const requireAdminWhenSigned = (req, res, next) => (fileRegistry.REQUIRE_SIGNED_LINKS ? requireAdmin(req, res, next) : next());
+
+// Route to list all download jobs
+app.get('/api/jobs', requireAdminWhenSigned, (req, res) => {
+    const allJobs = jobs.listJobs()
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(jobs.serializeJob);
+
+    res.json({ jobs: allJobs, queue: scheduler.getStats() });
+});
+
+// Route to get the status of a single download job
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(jobs.serializeJob(job));
+});
+
+// Route to stream live progress of a download job as Server-Sent Events
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Send the current snapshot first so late subscribers catch up
+    sendEvent('state', jobs.serializeJob(job));
+    if (jobs.isFinished(job)) {
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    const onUpdate = (updatedJob, changes) => {
+        if (updatedJob.id !== job.id) {
+            return;
+        }
+
+        const progressOnly = Object.keys(changes).every(key => key === 'progress');
+        sendEvent(progressOnly ? 'progress' : 'state', jobs.serializeJob(updatedJob));
+
+        if (jobs.isFinished(updatedJob)) {
+            stop();
+            res.end();
+        }
+    };
+
+    const stop = () => {
+        clearInterval(heartbeat);
+        jobs.jobEvents.removeListener('update', onUpdate);
+    };
+
+    jobs.jobEvents.on('update', onUpdate);
+    req.on('close', stop);
+});
+
+// Helper function to remove the partial files a job left behind (keep: finished files that
+// could be mistaken for one, e.g. a playlist item called "Episode.f2.mp4")
+const cleanupPartialFiles = (job, keep = []) => {
+    if (job.output) {
+        janitor.removePartialFiles(job.output.dir, job.output.prefix, keep);
+    }
+};
+
+// Route to cancel a download job and remove its partial files
+app.delete('/api/jobs/:id', async (req, res) => {
     try {
-        const { url } = req.body;
-        
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
+        const job = jobs.getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
         }
 
-        // Get video info first
-        const info = await getVideoInfo(url);
-        const sanitizedTitle = sanitizeFilename(info.title);
-        const filename = `${sanitizedTitle}.%(ext)s`;
-        const outputPath = path.join(downloadsDir, filename);
+        if (job.state === 'done' || job.state === 'cancelled') {
+            return res.status(409).json({ error: `Job is already ${job.state}` });
+        }
 
-        // Download audio using yt-dlp
-        const command = `yt-dlp -f "bestaudio" --extract-audio --audio-format mp3 --audio-quality 0 -o "${outputPath}" --no-warnings "${url}"`;
-        
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                console.error('Audio download error:', error);
-                if (!res.headersSent) {
-                return res.status(500).json({ error: 'Audio download failed' });
-                }
-                return;
-            }
-            
-            // Find the actual downloaded file
-            const files = fs.readdirSync(downloadsDir).filter(file => 
-                file.startsWith(sanitizedTitle) && file.endsWith('.mp3')
-            );
-            
-            if (files.length > 0) {
-                if (!res.headersSent) {
-                res.json({
-                    success: true,
-                    filename: files[0],
-                    downloadUrl: `/downloads/${files[0]}`
-                });
-                }
-            } else {
-                if (!res.headersSent) {
-                res.status(500).json({ error: 'Audio download completed but file not found' });
-                }
-            }
-        });
+        scheduler.remove(job.id);
+        await jobs.stopJob(job, 'cancelled');
+        cleanupPartialFiles(job);
 
+        res.json(jobs.serializeJob(job));
     } catch (error) {
-        console.error('Error downloading audio:', error);
+        console.error('Error cancelling job:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// Route to pause a running download job, keeping its partial files for a later retry
+app.post('/api/jobs/:id/pause', async (req, res) => {
+    try {
+        const job = jobs.getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        if (job.state !== 'running' && job.state !== 'merging') {
+            return res.status(409).json({ error: `Only running jobs can be paused (job is ${job.state})` });
+        }
+
+        await jobs.stopJob(job, 'paused');
+
+        res.json(jobs.serializeJob(job));
+    } catch (error) {
+        console.error('Error pausing job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Route to retry a failed, paused or cancelled job; yt-dlp picks up any .part files left behind
+app.post('/api/jobs/:id/retry', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!jobs.canRetry(job)) {
+        return res.status(409).json({ error: `Job cannot be retried while ${job.state}` });
+    }
+
+    // A paused or cancelled job may still be winding down (e.g. fetching video info)
+    if (scheduler.isActive(job.id)) {
+        return res.status(409).json({ error: 'Job is still stopping, retry it in a moment' });
+    }
+
+    if (scheduler.isFull()) {
+        return rejectQueueFull(res);
+    }
+
+    console.log(`Retrying ${job.type} download job ${job.id}`);
+    scheduler.enqueue(job, downloadHandlers[job.type]);
+
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`,
+        job: jobs.serializeJob(job)
+    });
+});
+
+// Archive links are signed like file links, under an ID of their own
+const archiveLinkId = job => `archive:${job.id}`;
+
+// Helper function to build the link to a job's folder as a ZIP archive
+const archiveUrl = (job, options) => fileRegistry.signUrl(`/api/jobs/${job.id}/archive`, archiveLinkId(job), options);
+
+// Route to download a finished playlist (or chapter split) folder as one ZIP archive
+app.get('/api/jobs/:id/archive', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Like a file, the archive needs a signed link when links have to be signed,
+    // unless the job's access token or the admin token comes with the request
+    const signatureError = fileRegistry.checkSignature(archiveLinkId(job), req.query);
+    if (signatureError && !jobs.checkAccessToken(job, req.get('x-job-token') || req.query.token) && !isAdmin(req)) {
+        return res.status(403).json({ error: signatureError });
+    }
+
+    if (job.state !== 'done' || !job.result || !job.result.folder || !job.output) {
+        return res.status(409).json({ error: 'Only finished playlist or chapter downloads can be archived' });
+    }
+
+    if (!fs.existsSync(job.output.dir)) {
+        return res.status(410).json({ error: 'The download folder no longer exists' });
+    }
+
+    const audioOnly = req.query.audioOnly === 'true';
+    const files = archive.listArchiveFiles(job.output.dir, { audioOnly });
+    if (audioOnly && !files.some(archive.isAudioFile)) {
+        return res.status(404).json({ error: 'No audio files to archive' });
+    }
+    if (files.length === 0) {
+        return res.status(404).json({ error: 'No files to archive' });
+    }
+
+    archive.streamFolderArchive(res, job.output.dir, { name: job.result.folder, audioOnly });
+    console.log(`Streaming ${files.length} files of ${job.result.folder} as a ZIP archive`);
+});
+
+// Route to get fresh download links for every file a job produced (optionally signed for ttl seconds)
+app.get('/api/jobs/:id/files', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Fresh links are only for whoever asked for the job (its access token) and the admin
+    if (!jobs.checkAccessToken(job, req.get('x-job-token') || req.query.token) && !isAdmin(req)) {
+        return res.status(403).json({ error: 'This job\'s access token is required (X-Job-Token header or ?token=)' });
+    }
+
+    const ttl = req.query.ttl === undefined ? undefined : Number(req.query.ttl);
+    if (ttl !== undefined && (!Number.isInteger(ttl) || ttl <= 0 || ttl > fileRegistry.MAX_LINK_TTL)) {
+        return res.status(400).json({ error: `ttl must be a number of seconds up to ${fileRegistry.MAX_LINK_TTL}` });
+    }
+
+    const jobFiles = fileRegistry.listFiles()
+        .filter(file => file.jobId === job.id)
+        .map(file => ({
+            fileId: file.id,
+            name: file.name,
+            size: file.size,
+            downloadUrl: fileRegistry.fileUrl(file, ttl === undefined ? {} : { ttl })
+        }));
+
+    res.json({
+        jobId: job.id,
+        files: jobFiles,
+        archiveUrl: job.result && job.result.folder ? archiveUrl(job, ttl === undefined ? {} : { ttl }) : undefined
+    });
+});
+
+// Route to download a file the server produced, by its ID (supports Range requests)
+app.get('/api/files/:id', (req, res) => {
+    const file = fileRegistry.getFile(req.params.id);
+
+    if (!file) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    const signatureError = fileRegistry.checkSignature(file.id, req.query);
+    if (signatureError) {
+        return res.status(403).json({ error: signatureError });
+    }
+
+    if (!fs.existsSync(file.path)) {
+        fileRegistry.unregisterFile(file.id);
+        return res.status(410).json({ error: 'This file has been removed from the server' });
+    }
+
+    fileRegistry.touchFile(file.id);
+
+    // res.download handles Range, ETag and Last-Modified, and encodes non-ASCII names in Content-Disposition
+    res.download(file.path, file.name, { dotfiles: 'allow' }, (error) => {
+        if (error && !res.headersSent) {
+            res.status(error.statusCode || 500).json({ error: 'Could not send file' });
+        } else if (error && error.code !== 'ECONNABORTED') {
+            console.error(`Error sending file ${file.id}:`, error.message);
+        }
+    });
+});
+
+// Helper function to register a produced file and get the link clients download it from
+// (reusable marks a single-file download that identical requests may get again)
+const fileLink = (filePath, name, job = null, { reusable = false } = {}) => {
+    const file = fileRegistry.registerFile(filePath, {
+        name,
+        jobId: job && job.id,
+        downloadKey: reusable && job ? job.dedupeKey : null
+    });
+    return { fileId: file.id, downloadUrl: fileRegistry.fileUrl(file) };
+};
+
+// Helper function to finish a chapter split: drop the full-length file and list the chapter files
+const collectChapterFiles = (job, chapterDir, fullFile, videoChapters, ext) => {
+    const fullPath = path.join(chapterDir, fullFile);
+    if (fs.existsSync(fullPath)) {
+        fs.unlinkSync(fullPath);
+    }
+
+    const chapterFiles = chapters.listChapterFiles(chapterDir, videoChapters, ext);
+    if (chapterFiles.length === 0) {
+        throw new Error('Download completed but no chapter files were found');
+    }
+
+    return chapterFiles.map(chapter => ({
+        ...chapter,
+        ...fileLink(
+            path.join(chapterDir, chapter.filename),
+            `${String(chapter.index).padStart(2, '0')} - ${chapter.title}${ext}`,
+            job
+        )
+    }));
+};
+
+// Names in the downloads folder that subtitle requests are writing to right now
+const pendingSubtitleNames = new Set();
+
+// Helper function to list the names other unfinished jobs (and subtitle requests) are about
+// to use in a folder; job is null for requests that aren't jobs
+const reservedNames = (job, dir) => jobs.listJobs()
+    .filter(other => (!job || other.id !== job.id) && other.output && !jobs.isFinished(other))
+    .flatMap(other => [
+        path.resolve(other.output.dir) === path.resolve(dir) ? other.output.prefix : null,
+        path.resolve(path.dirname(other.output.dir)) === path.resolve(dir) ? path.basename(other.output.dir) : null
+    ])
+    .concat(path.resolve(dir) === path.resolve(downloadsDir) ? [...pendingSubtitleNames] : [])
+    .filter(Boolean);
+
+// Template fields of a single video
+const templateFields = (info, resolution) => ({
+    title: info.title,
+    id: info.id,
+    uploader: info.uploader,
+    upload_date: info.upload_date,
+    resolution
+});
+
+// Helper function to pick the name a single download is offered under: the request's own
+// output template when it gave one, otherwise the video's title
+const downloadName = (job, info, resolution) => (job.options.outputTemplate
+    ? filenames.renderOutputTemplate(job.options.outputTemplate, templateFields(info, resolution))
+    : info.title);
+
+// Helper function to pick where a single download goes. A resumed or retried job keeps its
+// earlier output so yt-dlp continues its .part files; a new one gets a name nobody else uses.
+const planOutput = (job, info, { clip, splitChapters, resolution }) => {
+    if (job.output) {
+        return job.output;
+    }
+
+    const name = filenames.renderOutputTemplate(job.options.outputTemplate || filenames.OUTPUT_TEMPLATE, templateFields(info, resolution));
+    const reserved = reservedNames(job, downloadsDir);
+
+    // Chapter splits go into their own folder, like playlists
+    if (splitChapters) {
+        const folder = filenames.resolveCollision(downloadsDir, name, { reserved });
+        return { dir: path.join(downloadsDir, folder), prefix: name };
+    }
+
+    // A clip gets its own file name so it never clashes with the full video
+    const baseName = clip ? `${name}${clips.clipFileSuffix(clip, info.duration)}` : name;
+    return { dir: downloadsDir, prefix: filenames.resolveCollision(downloadsDir, baseName, { reserved }) };
+};
+
+// Helper function for video downloads
+async function handleVideoDownload(job, attempt) {
+    const { url } = job;
+    
+    // Get video info first
+    const info = await getVideoMetadata(url);
+    const clip = clips.parseClipRange(job.options, info.duration);
+    const splitChapters = chapters.parseSplitChapters(job.options, info);
+
+    const resolution = formats.expectedResolution(job.options, info);
+    const output = planOutput(job, info, { clip, splitChapters, resolution });
+    const { dir: outputDir, prefix: baseName } = output;
+    fs.mkdirSync(outputDir, { recursive: true });
+    jobs.updateJob(job.id, { output });
+    const outputPath = `${filenames.escapeTemplatePath(path.join(outputDir, baseName))}.%(ext)s`;
+
+    // Pick formats from the request's format IDs or quality/format preferences
+    const formatChoice = formats.chooseFormats(job.options, info);
+    const subtitlePreferences = subtitles.parseSubtitlePreferences(job.options.subtitles);
+
+    // Download using yt-dlp with proper merging and cleanup
+    const args = [
+        ...formatChoice.args,
+        ...(clip ? clips.buildClipArgs(clip) : []),
+        ...(splitChapters ? chapters.buildChapterArgs(outputDir) : []),
+        ...(subtitlePreferences ? subtitles.buildSubtitleArgs(subtitlePreferences, { embed: true }) : []),
+        '--audio-multistreams',
+        '--no-keep-video',
+        '--embed-metadata',
+        '--add-metadata',
+        '--continue',
+        ...progress.PROGRESS_ARGS,
+        '-o', outputPath,
+        '--no-playlist',
+        '--no-warnings',
+        '--', url
+    ];
+    
+    const { child: childProcess, done } = ytdlp.runYtDlp(args, {
+        timeout: 600000 // 10 minutes timeout
+    });
+    jobs.attachProcess(job, childProcess, attempt);
+    progress.trackProgress(job, childProcess);
+
+    try {
+        await done;
+    } catch (error) {
+        console.error('Download error:', error);
+        if (error.timedOut) {
+            throw new Error('Download timeout after 10 minutes');
+        }
+        throw new Error('Download failed: ' + error.message);
+    }
+    
+    // yt-dlp has finished merging by now, so anything partial left over is safe to remove
+    const finalExt = `.${formatChoice.container}`;
+    cleanupPartialFiles(job);
+    
+    if (splitChapters) {
+        const chapterFiles = collectChapterFiles(job, outputDir, `${baseName}${finalExt}`, info.chapters, finalExt);
+        return {
+            success: true,
+            message: `Successfully split into ${chapterFiles.length} chapters`,
+            folder: path.basename(outputDir),
+            folderPath: outputDir,
+            archiveUrl: archiveUrl(job),
+            chapters: chapterFiles,
+            formatSelector: formatChoice.selector,
+            formatSort: formatChoice.sort,
+            selectedFormats: job.selectedFormats
+        };
+    }
+
+    // The final video file is exactly the name yt-dlp was told to write
+    const finalFile = `${baseName}${finalExt}`;
+    if (!fs.existsSync(path.join(outputDir, finalFile))) {
+        throw new Error(`Download completed but ${formatChoice.container.toUpperCase()} file not found`);
+    }
+
+    return {
+        success: true,
+        filename: finalFile,
+        ...fileLink(path.join(outputDir, finalFile), `${downloadName(job, info, resolution)}${clip ? clips.clipFileSuffix(clip, info.duration) : ''}${finalExt}`, job, { reusable: true }),
+        message: `Successfully downloaded: ${finalFile}`,
+        formatSelector: formatChoice.selector,
+        formatSort: formatChoice.sort,
+        selectedFormats: job.selectedFormats,
+        clip: clip || undefined
+    };
+}
+
+// Helper function for audio downloads
+async function handleAudioDownload(job, attempt) {
+    const { url } = job;
+    
+    // Get video info first
+    const info = await getVideoMetadata(url);
+    const clip = clips.parseClipRange(job.options, info.duration);
+    const splitChapters = chapters.parseSplitChapters(job.options, info);
+
+    const output = planOutput(job, info, { clip, splitChapters, resolution: 'audio' });
+    const { dir: outputDir, prefix: baseName } = output;
+    fs.mkdirSync(outputDir, { recursive: true });
+    jobs.updateJob(job.id, { output });
+    const outputPath = `${filenames.escapeTemplatePath(path.join(outputDir, baseName))}.%(ext)s`;
+
+    // Pick the output format, bitrate, tags and cover art from the request's audio options
+    const audioChoice = formats.buildAudioArgs(formats.parseAudioPreferences(job.options));
+
+    // Download audio using yt-dlp
+    const args = [
+        ...audioChoice.args,
+        ...(clip ? clips.buildClipArgs(clip) : []),
+        ...(splitChapters ? chapters.buildChapterArgs(outputDir) : []),
+        '--continue',
+        ...progress.PROGRESS_ARGS,
+        '-o', outputPath,
+        '--no-playlist',
+        '--no-warnings',
+        '--', url
+    ];
+    
+    const { child: childProcess, done } = ytdlp.runYtDlp(args, {
+        timeout: 600000 // 10 minutes timeout
+    });
+    jobs.attachProcess(job, childProcess, attempt);
+    progress.trackProgress(job, childProcess);
+
+    try {
+        await done;
+    } catch (error) {
+        console.error('Audio download error:', error);
+        if (error.timedOut) {
+            throw new Error('Audio download timeout after 10 minutes');
+        }
+        throw new Error('Audio download failed: ' + error.message);
+    }
+    
+    const finalExt = `.${audioChoice.format}`;
+    if (splitChapters) {
+        const chapterFiles = collectChapterFiles(job, outputDir, `${baseName}${finalExt}`, info.chapters, finalExt);
+        return {
+            success: true,
+            message: `Successfully split into ${chapterFiles.length} chapters`,
+            folder: path.basename(outputDir),
+            folderPath: outputDir,
+            archiveUrl: archiveUrl(job),
+            chapters: chapterFiles,
+            audioFormat: audioChoice.format
+        };
+    }
+
+    // The final audio file is exactly the name yt-dlp was told to write
+    const finalFile = `${baseName}${finalExt}`;
+    if (!fs.existsSync(path.join(outputDir, finalFile))) {
+        throw new Error('Audio download completed but file not found');
+    }
+
+    return {
+        success: true,
+        filename: finalFile,
+        ...fileLink(path.join(outputDir, finalFile), `${downloadName(job, info, 'audio')}${clip ? clips.clipFileSuffix(clip, info.duration) : ''}${finalExt}`, job, { reusable: true }),
+        audioFormat: audioChoice.format,
+        clip: clip || undefined
+    };
+}
+
+// Helper function for playlist downloads
+async function handlePlaylistDownload(job, attempt) {
+    const { url } = job;
+
+    // Only download the items that match the request's indices, video IDs and filters
+    const selection = playlistSelection.parsePlaylistSelection(job.options);
+
+    // Get playlist info first. A channel tab is only listed as far as the selected items go,
+    // so "the last 20 uploads" doesn't read the whole channel.
+    const listEnd = urls.classifyUrl(url).kind === 'channel' ? playlistSelection.lastSelectedIndex(selection) : null;
+    const playlistInfo = await getPlaylistInfo(url, { end: listEnd });
+
+    // A playlist downloads into the folder of its earlier runs, so finished items aren't fetched
+    // again; a different playlist with the same title gets a folder of its own
+    const playlistDir = job.output ? job.output.dir : path.join(downloadsDir, filenames.resolveCollision(
+        downloadsDir,
+        filenames.sanitizeFilename(playlistInfo.title, 'playlist'),
+        {
+            reserved: reservedNames(job, downloadsDir),
+            canReuse: (folder) => {
+                const manifest = playlistResults.readManifest(path.join(downloadsDir, folder));
+                return Boolean(manifest && manifest.url === url);
+            }
+        }
+    ));
+    fs.mkdirSync(playlistDir, { recursive: true });
+    jobs.updateJob(job.id, { output: { dir: playlistDir, prefix: '' } });
+
+    const { selected, skipped } = playlistSelection.selectPlaylistItems(playlistInfo.entries, selection);
+    if (selected.length === 0) {
+        throw new Error('No playlist items match the selection');
+    }
+
+    // Audio-only playlists extract every item to the requested audio format;
+    // otherwise pick formats from the request's quality/format preferences
+    const { audioOnly } = job.options;
+    const formatChoice = audioOnly
+        ? formats.buildAudioArgs(formats.parseAudioPreferences(job.options), { playlist: true })
+        : formats.buildFormatArgs(formats.parseFormatPreferences(job.options));
+    const finalExt = `.${audioOnly ? formatChoice.format : formatChoice.container}`;
+    const downloadArgs = audioOnly
+        ? [...formatChoice.args]
+        : [...formatChoice.args, '--audio-multistreams', '--no-keep-video', '--embed-metadata', '--add-metadata'];
+
+    // Subtitles are written as one sidecar file per item
+    const subtitlePreferences = subtitles.parseSubtitlePreferences(job.options.subtitles);
+    if (subtitlePreferences) {
+        downloadArgs.push(...subtitles.buildSubtitleArgs(subtitlePreferences));
+    }
+    downloadArgs.push(...playlistSelection.buildSelectionArgs(selection, selected));
+
+    // Record which file each item ended up in, for the per-item results
+    const itemLogPath = path.join(playlistDir, `.items-${job.id}.tsv`);
+    downloadArgs.push(...playlistResults.buildItemLogArgs(itemLogPath));
+
+    // yt-dlp names each item from the output template. Items that would get the same name
+    // get their video ID added, so none of them is skipped as already downloaded.
+    const template = job.options.outputTemplate || filenames.PLAYLIST_OUTPUT_TEMPLATE;
+    const itemNames = selected.map(item => filenames.renderOutputTemplate(template, {
+        title: item.title,
+        id: item.id,
+        playlist_index: item.index,
+        playlist_title: playlistInfo.title
+    }));
+    const itemTemplate = new Set(itemNames).size < itemNames.length ? `${template} [{id}]` : template;
+    const outputPath = `${filenames.escapeTemplatePath(playlistDir)}${path.sep}${filenames.toYtDlpTemplate(itemTemplate)}.%(ext)s`;
+    downloadArgs.push('--trim-filenames', String(filenames.MAX_NAME_CHARACTERS));
+
+    const args = [
+        ...downloadArgs,
+        '--continue',
+        ...progress.PROGRESS_ARGS,
+        '-o', outputPath,
+        '--no-warnings',
+        '--', url
+    ];
+    
+    console.log(`Playlist: ${playlistInfo.title} (${selected.length} of ${playlistInfo.entries.length} videos) with formats: ${formatChoice.selector}`);
+    
+    const { child: childProcess, done } = ytdlp.runYtDlp(args, {
+        timeout: 1800000 // 30 minutes timeout for playlists
+    });
+    jobs.attachProcess(job, childProcess, attempt);
+    progress.trackProgress(job, childProcess);
+
+    // yt-dlp keeps going when single items fail and exits with an error at the end;
+    // that still counts as done when at least one item was downloaded
+    let itemErrors = new Map();
+    try {
+        await done;
+    } catch (error) {
+        console.error('Playlist download error:', error);
+        if (error.timedOut) {
+            throw new Error('Playlist download timeout after 30 minutes');
+        }
+        if (jobs.isStopped(job) || !fs.existsSync(itemLogPath)) {
+            throw new Error('Playlist download failed: ' + error.message);
+        }
+        itemErrors = playlistResults.parseItemErrors(error.stderr);
+    }
+    const filesById = playlistResults.readItemLog(itemLogPath);
+    
+    cleanupPartialFiles(job, [...filesById.values()].map(filePath => path.relative(playlistDir, filePath)));
+    
+    const subtitleFiles = subtitlePreferences
+        ? subtitles.listSubtitleFiles(playlistDir, '', subtitlePreferences).map(file => ({
+            filename: file.filename,
+            language: file.language,
+            ...fileLink(path.join(playlistDir, file.filename), file.filename, job)
+        }))
+        : undefined;
+
+    // Items yt-dlp skipped itself (e.g. upload date out of range) are reported by their
+    // position among the selected items
+    const skippedByYtDlp = job.skippedItems
+        .filter(({ item }) => selected[item - 1])
+        .map(({ item, reason }) => ({ ...selected[item - 1], reason }));
+    const skippedItems = [...skipped, ...skippedByYtDlp].sort((a, b) => a.index - b.index);
+
+    // Per-item results, also saved as a manifest and .m3u8 playlist next to the files
+    const itemResults = playlistResults.buildItemResults({
+        dir: playlistDir,
+        selected: selected.filter(item => !skippedByYtDlp.some(skippedItem => skippedItem.index === item.index)),
+        skipped: skippedItems,
+        filesById,
+        errorsById: itemErrors
+    });
+    const downloadedItems = itemResults.filter(item => item.status === 'downloaded');
+    const manifestFiles = playlistResults.writeManifest(playlistDir, {
+        title: playlistInfo.title,
+        url,
+        jobId: job.id,
+        createdAt: new Date().toISOString(),
+        totalVideos: playlistInfo.entries.length,
+        downloadedVideos: downloadedItems.length,
+        items: itemResults
+    });
+    // Items are offered under their title, or under the name yt-dlp gave them from the request's template
+    const itemDownloadName = item => (job.options.outputTemplate || !item.title
+        ? path.basename(item.filename)
+        : `${item.title}${path.extname(item.filename)}`);
+    const items = itemResults.map(item => (item.status === 'downloaded'
+        ? { ...item, ...fileLink(path.join(playlistDir, item.filename), itemDownloadName(item), job) }
+        : item));
+    
+    return {
+        success: true,
+        message: `Playlist download completed! Downloaded ${downloadedItems.length} ${audioOnly ? 'tracks' : 'videos'}.`,
+        folder: path.basename(playlistDir),
+        totalVideos: playlistInfo.entries.length,
+        selectedVideos: selected.length,
+        downloadedVideos: downloadedItems.length,
+        failedVideos: itemResults.filter(item => !['downloaded', 'skipped'].includes(item.status)).length,
+        skippedItems,
+        items,
+        archiveUrl: archiveUrl(job),
+        manifest: fileLink(path.join(playlistDir, manifestFiles.manifestFile), `${playlistInfo.title}.json`, job).downloadUrl,
+        m3u8: fileLink(path.join(playlistDir, manifestFiles.playlistFile), `${playlistInfo.title}.m3u8`, job).downloadUrl,
+        folderPath: playlistDir,
+        audioFormat: audioOnly ? formatChoice.format : undefined,
+        subtitleFiles,
+        formatSelector: formatChoice.selector,
+        formatSort: formatChoice.sort,
+        selectedFormats: job.selectedFormats
+    };
+}
+
+// Download handlers by job type
+const downloadHandlers = {
+    video: handleVideoDownload,
+    audio: handleAudioDownload,
+    playlist: handlePlaylistDownload
+};
+
+// Helper function for the older per-type endpoints, which answer once the download has finished
+const handleQueuedDownload = (type) => async (req, res) => {
+    try {
+        const { job: startedJob, queueFull } = await startDownload(parseDownloadRequest({ ...req.body, type }));
+        if (queueFull) {
+            return rejectQueueFull(res);
+        }
+
+        const job = await jobs.waitForJob(startedJob);
+
+        // A paused job can still be resumed with a retry, so it isn't answered as an error
+        if (job.state === 'paused') {
+            return res.status(202).json({
+                message: 'Download paused',
+                state: job.state,
+                jobId: job.id,
+                accessToken: job.accessToken,
+                statusUrl: `/api/jobs/${job.id}`
+            });
+        }
+        if (job.state !== 'done') {
+            return res.status(500).json({ error: job.error || `Download ${job.state}`, state: job.state, jobId: job.id });
+        }
+
+        res.json({ ...job.result, jobId: job.id, accessToken: job.accessToken });
+
+    } catch (error) {
+        console.error(`Error downloading ${type}:`, error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+};
+
+// Route to download single video
+app.post('/api/download/video', handleQueuedDownload('video'));
+
+// Route to download playlist
+app.post('/api/download/playlist', handleQueuedDownload('playlist'));
+
+// Route to download audio only
+app.post('/api/download/audio', handleQueuedDownload('audio'));
+
 // Route to get downloads path
 app.get('/api/downloads-path', (req, res) => {
     res.json({ 
@@ -1061,54 +1391,158 @@ app.post('/api/formats', async (req, res) => {
             return res.status(400).json({ error: 'URL is required' });
         }
 
-        // Get detailed formats using yt-dlp
-        const command = `yt-dlp -F --no-warnings "${url}"`;
-        const { stdout } = await execPromise(command);
-        
-        console.log('Available formats for:', url);
-        console.log(stdout);
-        
-        // Parse the formats from yt-dlp output
-        const lines = stdout.split('\n');
-        const formatLines = lines.filter(line => 
-            line.match(/^\d+/) && (line.includes('mp4') || line.includes('webm') || line.includes('m4a'))
-        );
+        // Get the video's real formats from yt-dlp's JSON
+        const info = await getVideoMetadata(ytdlp.validateUrl(url));
+        const availableFormats = formats.listFormats(info);
         
-        const parsedFormats = formatLines.map(line => {
-            const parts = line.trim().split(/\s+/);
-            const formatId = parts[0];
-            const ext = parts[1];
-            const resolution = parts[2] || 'audio only';
-            const hasAudio = line.includes('audio only') || !line.includes('video only');
-            
-            return {
-                formatId,
-                ext,
-                resolution,
-                hasAudio,
-                fullLine: line.trim()
-            };
-        });
-        
-        // Standard quality options
-        const formats = [
-            { quality: 'Highest Quality', container: 'best', codecs: 'best available with audio' },
-            { quality: '4K (2160p)', container: 'mp4', codecs: 'video+audio merged' },
-            { quality: '1440p (2K)', container: 'mp4', codecs: 'video+audio merged' },
-            { quality: '1080p (Full HD)', container: 'mp4', codecs: 'video+audio merged' },
-            { quality: '720p (HD)', container: 'mp4', codecs: 'video+audio merged' },
-            { quality: '480p', container: 'mp4', codecs: 'video+audio merged' },
-            { quality: '360p', container: 'mp4', codecs: 'video+audio (guaranteed)' }
-        ];
+        console.log(`Found ${availableFormats.length} formats for: ${info.title}`);
 
         res.json({ 
-            formats,
-            availableFormats: parsedFormats,
-            rawOutput: stdout
+            title: info.title,
+            duration: info.duration,
+            // Quality options grouped from what this video can actually deliver
+            formats: formats.listQualityOptions(availableFormats),
+            availableFormats
         });
     } catch (error) {
         console.error('Error getting formats:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Route to download a video's subtitles as SRT or VTT files
+app.post('/api/subtitles', async (req, res) => {
+    let releaseSlot = null;
+    let baseName = null;
+    try {
+        const { url, ...options } = req.body;
+        const validUrl = ytdlp.validateUrl(url);
+        const subtitlePreferences = subtitles.parseSubtitlePreferences(options);
+
+        // This runs yt-dlp like a download does, so it takes a download slot while it works
+        releaseSlot = scheduler.acquireSlot();
+        if (!releaseSlot) {
+            return rejectNoFreeSlot(res);
+        }
+
+        const info = await getVideoMetadata(validUrl);
+        subtitles.checkSubtitlesAvailable(subtitlePreferences, info);
+
+        // A name no other file uses yet, so yt-dlp never skips a track as "already present"
+        // because another video with the same title left one behind
+        baseName = filenames.resolveCollision(downloadsDir, filenames.sanitizeFilename(info.title, info.id), {
+            reserved: reservedNames(null, downloadsDir)
+        });
+        pendingSubtitleNames.add(baseName);
+
+        await ytdlp.execYtDlp([
+            '--skip-download',
+            ...subtitles.buildSubtitleArgs(subtitlePreferences),
+            '-o', `${filenames.escapeTemplatePath(path.join(downloadsDir, baseName))}.%(ext)s`,
+            '--no-playlist',
+            '--no-warnings',
+            '--', validUrl
+        ], { timeout: 60000 });
+
+        const files = subtitles.listSubtitleFiles(downloadsDir, baseName, subtitlePreferences)
+            .filter(file => subtitlePreferences.languages.includes(file.language))
+            .map(file => ({
+                ...file,
+                ...fileLink(path.join(downloadsDir, file.filename), `${info.title}.${file.language}.${subtitlePreferences.format}`)
+            }));
+
+        if (files.length === 0) {
+            throw new Error('Subtitle download completed but no files were found');
+        }
+
+        res.json({ title: info.title, format: subtitlePreferences.format, subtitles: files });
+
+    } catch (error) {
+        console.error('Error downloading subtitles:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    } finally {
+        pendingSubtitleNames.delete(baseName);
+        if (releaseSlot) {
+            releaseSlot();
+        }
+    }
+});
+
+// Route to stream a video or its audio straight to the client, without saving it on the server
+app.get('/api/stream', async (req, res) => {
+    let releaseSlot = null;
+    try {
+        const { url, type = 'video', quality, maxHeight, container } = req.query;
+        const validUrl = ytdlp.validateUrl(url);
+
+        if (type !== 'video' && type !== 'audio') {
+            throw ytdlp.invalidInput(`Unsupported stream type: ${type}. Use video or audio.`);
+        }
+
+        const preferences = formats.parseStreamPreferences(type, { quality, maxHeight, container });
+
+        // A stream runs yt-dlp like any download, so it needs a free download slot for its whole lifetime
+        releaseSlot = scheduler.acquireSlot();
+        if (!releaseSlot) {
+            return rejectNoFreeSlot(res);
+        }
+        res.on('close', releaseSlot);
+
+        // Stop yt-dlp as soon as the client goes away (it may go before yt-dlp has started)
+        let childProcess = null;
+        let filename = null;
+        res.on('close', () => {
+            if (childProcess && !res.writableFinished) {
+                console.log(`Client disconnected, stopping stream of: ${filename}`);
+                killProcessTree(childProcess.pid);
+            }
+        });
+
+        // Only a single-file format can go out while it is still downloading;
+        // merging separate video and audio streams needs the whole file on disk
+        const info = await getVideoMetadata(validUrl);
+        if (res.destroyed) {
+            console.log(`Client disconnected before the stream of ${validUrl} started`);
+            return;
+        }
+        const streamFormat = formats.chooseStreamFormat(formats.listFormats(info), type, preferences);
+        filename = `${filenames.sanitizeFilename(info.title, info.id)}.${streamFormat.ext}`;
+
+        const { child, done } = ytdlp.runYtDlp([
+            '-f', streamFormat.formatId,
+            '-o', '-',
+            '--no-part',
+            '--no-playlist',
+            '--no-warnings',
+            '--', validUrl
+        ], { streamOutput: true });
+        childProcess = child;
+
+        res.set('Content-Type', streamFormat.contentType);
+        res.attachment(filename);
+        if (streamFormat.filesize) {
+            res.set('Content-Length', String(streamFormat.filesize));
+        }
+        console.log(`Streaming format ${streamFormat.formatId} of: ${info.title}`);
+
+        // End the response ourselves, so a yt-dlp failure before the first byte can still become an error response
+        childProcess.stdout.pipe(res, { end: false });
+        done.finally(releaseSlot).then(() => res.end()).catch((error) => {
+            console.error('Stream error:', error.message);
+            if (!res.headersSent) {
+                ['Content-Type', 'Content-Disposition', 'Content-Length'].forEach(header => res.removeHeader(header));
+                res.status(502).json({ error: `Stream failed: ${error.message}` });
+            } else {
+                res.destroy(error);
+            }
+        });
+
+    } catch (error) {
+        if (releaseSlot) {
+            releaseSlot();
+        }
+        console.error('Error starting stream:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
@@ -1127,10 +1561,47 @@ app.get('/health', (req, res) => {
     });
 });
 
+
+// Route to show how much disk the produced files use and what the janitor did last
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+    res.json({ ...janitor.getUsage(), queue: scheduler.getStats() });
+});
+
+// Route to run the janitor right away instead of waiting for its next pass
+app.post('/api/admin/cleanup', requireAdmin, (req, res) => {
+    res.json(janitor.runJanitor(downloadsDir));
+});
+
+// Route to show how well the video and playlist info caches are doing
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+    res.json({ videos: videoInfoCache.stats(), playlists: playlistInfoCache.stats() });
+});
+
+// Route to purge the info caches: ?url=... drops the entries for one video, playlist or channel,
+// no url drops everything
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+    try {
+        if (req.query.url === undefined) {
+            return res.json({ purged: videoInfoCache.clear() + playlistInfoCache.clear() });
+        }
+
+        const validUrl = ytdlp.validateUrl(urls.expandHandle(req.query.url));
+        const purged = (videoInfoCache.remove(videoCacheKey(validUrl)) ? 1 : 0)
+            + playlistInfoCache.removeWhere(playlistCacheMatcher(validUrl));
+
+        if (purged === 0) {
+            return res.status(404).json({ error: 'Nothing cached for this URL' });
+        }
+        res.json({ purged });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
 // Test yt-dlp endpoint
 app.get('/test-yt-dlp', async (req, res) => {
     try {
-        const { stdout, stderr } = await execPromise('yt-dlp --version');
+        const { stdout } = await ytdlp.execYtDlp(['--version'], { timeout: 10000 });
         res.json({
             success: true,
             ytDlpVersion: stdout.trim(),
@@ -1145,6 +1616,27 @@ app.get('/test-yt-dlp', async (req, res) => {
     }
 });
 
+// Reload the files and jobs from the last run and resume the jobs a restart interrupted
+const fileStore = fileRegistry.openFileRegistry(path.join(stateDir, 'files.json'));
+const jobStore = openJobStore(path.join(stateDir, 'jobs.json'));
+jobStore.interruptedJobs.forEach(job => {
+    console.log(`Resuming ${job.type} download job ${job.id}`);
+    scheduler.enqueue(job, downloadHandlers[job.type], { force: true });
+});
+
+// Expire old files, keep the downloads folder under its quota and clear out orphaned partial files
+janitor.startJanitor(downloadsDir);
+
+// Save job state before the process goes away (e.g. a Render redeploy)
+['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, () => {
+        console.log(`${signal} received, saving jobs before shutdown`);
+        jobStore.flush();
+        fileStore.flush();
+        process.exit(0);
+    });
+});
+
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
 });